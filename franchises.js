@@ -0,0 +1,391 @@
+/**
+ * Franchise registry for the NFL Coaching Tree Visualization
+ *
+ * Team codes in the data follow whatever source they came from, so a
+ * franchise can appear under several codes across relocations (the Raiders
+ * as OAK or LV) and one code can mean different franchises in different
+ * eras (HOU for the Oilers and the Texans). Each franchise lists:
+ *
+ *   codes       - team code to the seasons it refers to this franchise,
+ *                 as [from, to] (to = null while current), or null for any season
+ *   names       - full team name by era
+ *   alignments  - conference and division by era, from 1966 on
+ */
+const FRANCHISES = {
+    cardinals: {
+        codes: { ARI: null, ARZ: null, PHO: [1988, 1993], PHX: [1988, 1993], STL: [1960, 1987] },
+        names: [
+            { from: 1920, to: 1959, name: 'Chicago Cardinals' },
+            { from: 1960, to: 1987, name: 'St. Louis Cardinals' },
+            { from: 1988, to: 1993, name: 'Phoenix Cardinals' },
+            { from: 1994, to: null, name: 'Arizona Cardinals' }
+        ],
+        alignments: [
+            { from: 1966, to: 1966, conference: 'NFL Eastern', division: '' },
+            { from: 1967, to: 1969, conference: 'NFL Eastern', division: 'Century' },
+            { from: 1970, to: 2001, conference: 'NFC', division: 'East' },
+            { from: 2002, to: null, conference: 'NFC', division: 'West' }
+        ]
+    },
+    falcons: {
+        codes: { ATL: null },
+        names: [{ from: 1966, to: null, name: 'Atlanta Falcons' }],
+        alignments: [
+            { from: 1966, to: 1966, conference: 'NFL Eastern', division: '' },
+            { from: 1967, to: 1969, conference: 'NFL Western', division: 'Coastal' },
+            { from: 1970, to: 2001, conference: 'NFC', division: 'West' },
+            { from: 2002, to: null, conference: 'NFC', division: 'South' }
+        ]
+    },
+    ravens: {
+        codes: { BAL: [1996, null] },
+        names: [{ from: 1996, to: null, name: 'Baltimore Ravens' }],
+        alignments: [
+            { from: 1996, to: 2001, conference: 'AFC', division: 'Central' },
+            { from: 2002, to: null, conference: 'AFC', division: 'North' }
+        ]
+    },
+    bills: {
+        codes: { BUF: null },
+        names: [{ from: 1960, to: null, name: 'Buffalo Bills' }],
+        alignments: [
+            { from: 1966, to: 1969, conference: 'AFL', division: 'Eastern' },
+            { from: 1970, to: null, conference: 'AFC', division: 'East' }
+        ]
+    },
+    panthers: {
+        codes: { CAR: null },
+        names: [{ from: 1995, to: null, name: 'Carolina Panthers' }],
+        alignments: [
+            { from: 1995, to: 2001, conference: 'NFC', division: 'West' },
+            { from: 2002, to: null, conference: 'NFC', division: 'South' }
+        ]
+    },
+    bears: {
+        codes: { CHI: null },
+        names: [{ from: 1922, to: null, name: 'Chicago Bears' }],
+        alignments: [
+            { from: 1966, to: 1966, conference: 'NFL Western', division: '' },
+            { from: 1967, to: 1969, conference: 'NFL Western', division: 'Central' },
+            { from: 1970, to: 2001, conference: 'NFC', division: 'Central' },
+            { from: 2002, to: null, conference: 'NFC', division: 'North' }
+        ]
+    },
+    bengals: {
+        codes: { CIN: null },
+        names: [{ from: 1968, to: null, name: 'Cincinnati Bengals' }],
+        alignments: [
+            { from: 1968, to: 1969, conference: 'AFL', division: 'Western' },
+            { from: 1970, to: 2001, conference: 'AFC', division: 'Central' },
+            { from: 2002, to: null, conference: 'AFC', division: 'North' }
+        ]
+    },
+    browns: {
+        codes: { CLE: null },
+        names: [{ from: 1946, to: null, name: 'Cleveland Browns' }],
+        alignments: [
+            { from: 1966, to: 1966, conference: 'NFL Eastern', division: '' },
+            { from: 1967, to: 1969, conference: 'NFL Eastern', division: 'Century' },
+            { from: 1970, to: 2001, conference: 'AFC', division: 'Central' },
+            { from: 2002, to: null, conference: 'AFC', division: 'North' }
+        ]
+    },
+    cowboys: {
+        codes: { DAL: null },
+        names: [{ from: 1960, to: null, name: 'Dallas Cowboys' }],
+        alignments: [
+            { from: 1966, to: 1966, conference: 'NFL Eastern', division: '' },
+            { from: 1967, to: 1969, conference: 'NFL Eastern', division: 'Capitol' },
+            { from: 1970, to: null, conference: 'NFC', division: 'East' }
+        ]
+    },
+    broncos: {
+        codes: { DEN: null },
+        names: [{ from: 1960, to: null, name: 'Denver Broncos' }],
+        alignments: [
+            { from: 1966, to: 1969, conference: 'AFL', division: 'Western' },
+            { from: 1970, to: null, conference: 'AFC', division: 'West' }
+        ]
+    },
+    lions: {
+        codes: { DET: null },
+        names: [{ from: 1934, to: null, name: 'Detroit Lions' }],
+        alignments: [
+            { from: 1966, to: 1966, conference: 'NFL Western', division: '' },
+            { from: 1967, to: 1969, conference: 'NFL Western', division: 'Central' },
+            { from: 1970, to: 2001, conference: 'NFC', division: 'Central' },
+            { from: 2002, to: null, conference: 'NFC', division: 'North' }
+        ]
+    },
+    packers: {
+        codes: { GB: null, GNB: null },
+        names: [{ from: 1921, to: null, name: 'Green Bay Packers' }],
+        alignments: [
+            { from: 1966, to: 1966, conference: 'NFL Western', division: '' },
+            { from: 1967, to: 1969, conference: 'NFL Western', division: 'Central' },
+            { from: 1970, to: 2001, conference: 'NFC', division: 'Central' },
+            { from: 2002, to: null, conference: 'NFC', division: 'North' }
+        ]
+    },
+    texans: {
+        codes: { HOU: [2002, null] },
+        names: [{ from: 2002, to: null, name: 'Houston Texans' }],
+        alignments: [
+            { from: 2002, to: null, conference: 'AFC', division: 'South' }
+        ]
+    },
+    colts: {
+        codes: { IND: null, BAL: [1953, 1983] },
+        names: [
+            { from: 1953, to: 1983, name: 'Baltimore Colts' },
+            { from: 1984, to: null, name: 'Indianapolis Colts' }
+        ],
+        alignments: [
+            { from: 1966, to: 1966, conference: 'NFL Western', division: '' },
+            { from: 1967, to: 1969, conference: 'NFL Western', division: 'Coastal' },
+            { from: 1970, to: 2001, conference: 'AFC', division: 'East' },
+            { from: 2002, to: null, conference: 'AFC', division: 'South' }
+        ]
+    },
+    jaguars: {
+        codes: { JAX: null, JAC: null },
+        names: [{ from: 1995, to: null, name: 'Jacksonville Jaguars' }],
+        alignments: [
+            { from: 1995, to: 2001, conference: 'AFC', division: 'Central' },
+            { from: 2002, to: null, conference: 'AFC', division: 'South' }
+        ]
+    },
+    chiefs: {
+        codes: { KC: null, KAN: null },
+        names: [
+            { from: 1960, to: 1962, name: 'Dallas Texans' },
+            { from: 1963, to: null, name: 'Kansas City Chiefs' }
+        ],
+        alignments: [
+            { from: 1966, to: 1969, conference: 'AFL', division: 'Western' },
+            { from: 1970, to: null, conference: 'AFC', division: 'West' }
+        ]
+    },
+    rams: {
+        codes: { LA: null, LAR: null, RAM: null, STL: [1995, 2015] },
+        names: [
+            { from: 1946, to: 1994, name: 'Los Angeles Rams' },
+            { from: 1995, to: 2015, name: 'St. Louis Rams' },
+            { from: 2016, to: null, name: 'Los Angeles Rams' }
+        ],
+        alignments: [
+            { from: 1966, to: 1966, conference: 'NFL Western', division: '' },
+            { from: 1967, to: 1969, conference: 'NFL Western', division: 'Coastal' },
+            { from: 1970, to: null, conference: 'NFC', division: 'West' }
+        ]
+    },
+    chargers: {
+        codes: { LAC: null, SD: null, SDG: null },
+        names: [
+            { from: 1960, to: 1960, name: 'Los Angeles Chargers' },
+            { from: 1961, to: 2016, name: 'San Diego Chargers' },
+            { from: 2017, to: null, name: 'Los Angeles Chargers' }
+        ],
+        alignments: [
+            { from: 1966, to: 1969, conference: 'AFL', division: 'Western' },
+            { from: 1970, to: null, conference: 'AFC', division: 'West' }
+        ]
+    },
+    raiders: {
+        codes: { LV: null, LVR: null, OAK: null, RAI: null },
+        names: [
+            { from: 1960, to: 1981, name: 'Oakland Raiders' },
+            { from: 1982, to: 1994, name: 'Los Angeles Raiders' },
+            { from: 1995, to: 2019, name: 'Oakland Raiders' },
+            { from: 2020, to: null, name: 'Las Vegas Raiders' }
+        ],
+        alignments: [
+            { from: 1966, to: 1969, conference: 'AFL', division: 'Western' },
+            { from: 1970, to: null, conference: 'AFC', division: 'West' }
+        ]
+    },
+    dolphins: {
+        codes: { MIA: null },
+        names: [{ from: 1966, to: null, name: 'Miami Dolphins' }],
+        alignments: [
+            { from: 1966, to: 1969, conference: 'AFL', division: 'Eastern' },
+            { from: 1970, to: null, conference: 'AFC', division: 'East' }
+        ]
+    },
+    vikings: {
+        codes: { MIN: null },
+        names: [{ from: 1961, to: null, name: 'Minnesota Vikings' }],
+        alignments: [
+            { from: 1966, to: 1966, conference: 'NFL Western', division: '' },
+            { from: 1967, to: 1969, conference: 'NFL Western', division: 'Central' },
+            { from: 1970, to: 2001, conference: 'NFC', division: 'Central' },
+            { from: 2002, to: null, conference: 'NFC', division: 'North' }
+        ]
+    },
+    patriots: {
+        codes: { NE: null, NWE: null, BOS: [1960, 1970] },
+        names: [
+            { from: 1960, to: 1970, name: 'Boston Patriots' },
+            { from: 1971, to: null, name: 'New England Patriots' }
+        ],
+        alignments: [
+            { from: 1966, to: 1969, conference: 'AFL', division: 'Eastern' },
+            { from: 1970, to: null, conference: 'AFC', division: 'East' }
+        ]
+    },
+    saints: {
+        codes: { NO: null, NOR: null },
+        names: [{ from: 1967, to: null, name: 'New Orleans Saints' }],
+        alignments: [
+            { from: 1967, to: 1967, conference: 'NFL Eastern', division: 'Capitol' },
+            { from: 1968, to: 1968, conference: 'NFL Eastern', division: 'Century' },
+            { from: 1969, to: 1969, conference: 'NFL Eastern', division: 'Capitol' },
+            { from: 1970, to: 2001, conference: 'NFC', division: 'West' },
+            { from: 2002, to: null, conference: 'NFC', division: 'South' }
+        ]
+    },
+    giants: {
+        codes: { NYG: null },
+        names: [{ from: 1925, to: null, name: 'New York Giants' }],
+        alignments: [
+            { from: 1966, to: 1966, conference: 'NFL Eastern', division: '' },
+            { from: 1967, to: 1967, conference: 'NFL Eastern', division: 'Century' },
+            { from: 1968, to: 1968, conference: 'NFL Eastern', division: 'Capitol' },
+            { from: 1969, to: 1969, conference: 'NFL Eastern', division: 'Century' },
+            { from: 1970, to: null, conference: 'NFC', division: 'East' }
+        ]
+    },
+    jets: {
+        codes: { NYJ: null },
+        names: [
+            { from: 1960, to: 1962, name: 'New York Titans' },
+            { from: 1963, to: null, name: 'New York Jets' }
+        ],
+        alignments: [
+            { from: 1966, to: 1969, conference: 'AFL', division: 'Eastern' },
+            { from: 1970, to: null, conference: 'AFC', division: 'East' }
+        ]
+    },
+    eagles: {
+        codes: { PHI: null },
+        names: [{ from: 1933, to: null, name: 'Philadelphia Eagles' }],
+        alignments: [
+            { from: 1966, to: 1966, conference: 'NFL Eastern', division: '' },
+            { from: 1967, to: 1969, conference: 'NFL Eastern', division: 'Capitol' },
+            { from: 1970, to: null, conference: 'NFC', division: 'East' }
+        ]
+    },
+    steelers: {
+        codes: { PIT: null },
+        names: [{ from: 1940, to: null, name: 'Pittsburgh Steelers' }],
+        alignments: [
+            { from: 1966, to: 1966, conference: 'NFL Eastern', division: '' },
+            { from: 1967, to: 1969, conference: 'NFL Eastern', division: 'Century' },
+            { from: 1970, to: 2001, conference: 'AFC', division: 'Central' },
+            { from: 2002, to: null, conference: 'AFC', division: 'North' }
+        ]
+    },
+    seahawks: {
+        codes: { SEA: null },
+        names: [{ from: 1976, to: null, name: 'Seattle Seahawks' }],
+        alignments: [
+            { from: 1976, to: 1976, conference: 'NFC', division: 'West' },
+            { from: 1977, to: 2001, conference: 'AFC', division: 'West' },
+            { from: 2002, to: null, conference: 'NFC', division: 'West' }
+        ]
+    },
+    niners: {
+        codes: { SF: null, SFO: null },
+        names: [{ from: 1946, to: null, name: 'San Francisco 49ers' }],
+        alignments: [
+            { from: 1966, to: 1966, conference: 'NFL Western', division: '' },
+            { from: 1967, to: 1969, conference: 'NFL Western', division: 'Coastal' },
+            { from: 1970, to: null, conference: 'NFC', division: 'West' }
+        ]
+    },
+    buccaneers: {
+        codes: { TB: null, TAM: null },
+        names: [{ from: 1976, to: null, name: 'Tampa Bay Buccaneers' }],
+        alignments: [
+            { from: 1976, to: 1976, conference: 'AFC', division: 'West' },
+            { from: 1977, to: 2001, conference: 'NFC', division: 'Central' },
+            { from: 2002, to: null, conference: 'NFC', division: 'South' }
+        ]
+    },
+    titans: {
+        codes: { TEN: null, OTI: null, HOU: [1960, 1996] },
+        names: [
+            { from: 1960, to: 1996, name: 'Houston Oilers' },
+            { from: 1997, to: 1998, name: 'Tennessee Oilers' },
+            { from: 1999, to: null, name: 'Tennessee Titans' }
+        ],
+        alignments: [
+            { from: 1966, to: 1969, conference: 'AFL', division: 'Eastern' },
+            { from: 1970, to: 2001, conference: 'AFC', division: 'Central' },
+            { from: 2002, to: null, conference: 'AFC', division: 'South' }
+        ]
+    },
+    washington: {
+        codes: { WAS: null, WSH: null },
+        names: [
+            { from: 1937, to: 2019, name: 'Washington Redskins' },
+            { from: 2020, to: 2021, name: 'Washington Football Team' },
+            { from: 2022, to: null, name: 'Washington Commanders' }
+        ],
+        alignments: [
+            { from: 1966, to: 1966, conference: 'NFL Eastern', division: '' },
+            { from: 1967, to: 1969, conference: 'NFL Eastern', division: 'Capitol' },
+            { from: 1970, to: null, conference: 'NFC', division: 'East' }
+        ]
+    }
+};
+
+/**
+ * Find the entry of an era list covering a season
+ * @param {Array} eras - Entries with from and to seasons
+ * @param {number} season - Season to look up
+ * @returns {Object|null}
+ */
+function eraFor(eras, season) {
+    return eras.find(era => season >= era.from && (era.to === null || season <= era.to)) || null;
+}
+
+/**
+ * Find which franchise a team code meant in a given season
+ * @param {string} code - Team code from the data
+ * @param {number} season - Season the code was used in
+ * @returns {string|null} - Franchise id (key of FRANCHISES), or null if unknown
+ */
+function franchiseFor(code, season) {
+    const key = String(code).toUpperCase();
+    const id = Object.keys(FRANCHISES).find(franchiseId => {
+        const codes = FRANCHISES[franchiseId].codes;
+        if (!(key in codes)) return false;
+        const seasons = codes[key];
+        return seasons === null || (season >= seasons[0] && (seasons[1] === null || season <= seasons[1]));
+    });
+    return id || null;
+}
+
+/**
+ * Full team name for a team code in a given season
+ * @param {string} code - Team code from the data
+ * @param {number} season - Season the code was used in
+ * @returns {string} - Full name, or the code itself if it is not in the registry
+ */
+function teamFullName(code, season) {
+    const id = franchiseFor(code, season);
+    const era = id && eraFor(FRANCHISES[id].names, season);
+    return era ? era.name : code;
+}
+
+/**
+ * Conference and division a franchise played in during a season
+ * @param {string} id - Franchise id
+ * @param {number} season - Season to look up
+ * @returns {string} - e.g. 'NFC East', or '' if unknown
+ */
+function franchiseAlignment(id, season) {
+    const era = FRANCHISES[id] && eraFor(FRANCHISES[id].alignments, season);
+    return era ? `${era.conference} ${era.division}`.trim() : '';
+}
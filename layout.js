@@ -0,0 +1,320 @@
+/**
+ * Layered layout for the NFL Coaching Tree Visualization
+ *
+ * Coaches stay in the rows given by their level. Edges that skip rows are
+ * routed through placeholder nodes, so long edges take part in ordering
+ * like short ones. Rows are ordered to reduce edge crossings with median
+ * sweeps, alternating down and up the tree and keeping the best ordering
+ * found. Coaches are then placed so head coaches sit centered over their
+ * staff, with each row packed as tightly as its order allows. Edges are
+ * drawn straight, so placeholders only guide the order and take no room.
+ *
+ * Every step, from building the rows to placing coaches, is split into small
+ * pieces of work, so workFor() can spread a large layout over many frames.
+ * packedPositions() gives rough positions to show until the layout is done.
+ */
+
+// Most ordering sweeps tried before settling for the best ordering found
+const LAYOUT_MAX_SWEEPS = 24;
+
+// Sweeps in a row without fewer crossings before ordering stops early
+const LAYOUT_PATIENCE = 4;
+
+// Rounds of centering coaches over the rows above and below them
+const LAYOUT_CENTERING_ROUNDS = 8;
+
+class LayeredLayout {
+    /**
+     * @param {Object} coaches - Coach lookup with levels set
+     * @param {number} [spacing=180] - Distance between the centers of neighboring coaches
+     */
+    constructor(coaches, spacing = 180) {
+        this.coaches = coaches;
+        this.spacing = spacing;
+        this.layers = [];
+        
+        this.sweeps = 0;
+        this.sweepsWithoutGain = 0;
+        this.best = [];
+        this.bestCrossings = 0;
+        
+        // Positions from positions() once every step has run
+        this.result = null;
+        this.done = false;
+        this.steps = this.run();
+    }
+    
+    /**
+     * Every step of the layout in order, pausing after each small piece of work
+     */
+    *run() {
+        yield* this.buildLayers();
+        this.best = this.layers.map(layer => layer.slice());
+        this.bestCrossings = yield* this.countCrossings();
+        
+        let ordering = this.bestCrossings > 0;
+        while (ordering) {
+            ordering = yield* this.improve();
+        }
+        
+        this.result = yield* this.positions();
+        this.done = true;
+    }
+    
+    /**
+     * Run steps of the layout until done or out of time
+     * @param {number} duration - Time allowed, in milliseconds
+     * @returns {boolean} - Whether the layout is done, leaving its positions in result
+     */
+    workFor(duration) {
+        const deadline = performance.now() + duration;
+        while (!this.done && performance.now() < deadline) {
+            this.steps.next();
+        }
+        return this.done;
+    }
+    
+    /**
+     * Rough positions to show while the layout is still running: each row's
+     * coaches in alphabetical order, centered under the widest row
+     * @returns {Object} - { x, width }, like positions()
+     */
+    packedPositions() {
+        const rows = [];
+        Object.values(this.coaches).forEach(coach => {
+            while (rows.length <= coach.level) rows.push([]);
+            rows[coach.level].push(coach.name);
+        });
+        
+        const widest = rows.reduce((most, row) => Math.max(most, row.length), 0);
+        const x = new Map();
+        rows.forEach(row => {
+            const offset = (widest - row.length) / 2;
+            row.sort((a, b) => a.localeCompare(b)).forEach((name, index) => {
+                x.set(name, (offset + index + 1) * this.spacing);
+            });
+        });
+        
+        return { x, width: widest > 0 ? (widest + 1) * this.spacing : 0 };
+    }
+    
+    /**
+     * Put each coach in the row for their level, alphabetical to start with,
+     * and add a placeholder in every row an edge passes through. Rows hold
+     * nodes { name, up, down, heads, staff, index }, where up and down link
+     * neighboring rows and heads and staff link coaches directly;
+     * placeholders have no name. Pauses after each coach's edges.
+     */
+    *buildLayers() {
+        const layers = this.layers;
+        const addNode = (name, level) => {
+            while (layers.length <= level) layers.push([]);
+            const node = { name, up: [], down: [], heads: [], staff: [], index: layers[level].length };
+            layers[level].push(node);
+            return node;
+        };
+        const link = (upper, lower) => {
+            upper.down.push(lower);
+            lower.up.push(upper);
+        };
+        
+        const coaches = Object.values(this.coaches).sort((a, b) => a.name.localeCompare(b.name));
+        const nodes = new Map(coaches.map(coach => [coach.name, addNode(coach.name, coach.level)]));
+        
+        for (const coach of coaches) {
+            [...coach.coordinatorsUnder].sort().forEach(name => {
+                const coordinator = this.coaches[name];
+                
+                // Edges within a row or back up the tree are drawn but not laid out
+                if (!coordinator || coordinator.level <= coach.level) return;
+                
+                const head = nodes.get(coach.name);
+                const staff = nodes.get(name);
+                head.staff.push(staff);
+                staff.heads.push(head);
+                
+                let upper = head;
+                for (let level = coach.level + 1; level < coordinator.level; level++) {
+                    const placeholder = addNode(null, level);
+                    link(upper, placeholder);
+                    upper = placeholder;
+                }
+                link(upper, staff);
+            });
+            yield;
+        }
+    }
+    
+    /**
+     * Run one ordering sweep, down the tree or back up it in turn, pausing
+     * after each row
+     * @returns {boolean} - Whether ordering can still improve
+     */
+    *improve() {
+        const last = this.layers.length - 1;
+        if (this.sweeps % 2 === 0) {
+            for (let level = 1; level <= last; level++) {
+                this.orderLayer(level, 'up');
+                yield;
+            }
+        } else {
+            for (let level = last - 1; level >= 0; level--) {
+                this.orderLayer(level, 'down');
+                yield;
+            }
+        }
+        this.sweeps++;
+        
+        const crossings = yield* this.countCrossings();
+        if (crossings < this.bestCrossings) {
+            this.best = this.layers.map(layer => layer.slice());
+            this.bestCrossings = crossings;
+            this.sweepsWithoutGain = 0;
+        } else {
+            this.sweepsWithoutGain++;
+        }
+        
+        return crossings > 0 && this.sweepsWithoutGain < LAYOUT_PATIENCE && this.sweeps < LAYOUT_MAX_SWEEPS;
+    }
+    
+    /**
+     * Order one row by the median position of each node's neighbors in the
+     * row above or below, breaking ties by their average position. Nodes
+     * without neighbors on that side keep their place.
+     * @param {number} level - Row to order
+     * @param {string} side - 'up' or 'down'
+     */
+    orderLayer(level, side) {
+        const layer = this.layers[level];
+        const movable = layer.filter(node => node[side].length > 0);
+        
+        movable.forEach(node => {
+            const positions = node[side].map(neighbor => neighbor.index).sort((a, b) => a - b);
+            const middle = Math.floor(positions.length / 2);
+            node.median = positions.length % 2 === 1
+                ? positions[middle]
+                : (positions[middle - 1] + positions[middle]) / 2;
+            node.barycenter = positions.reduce((sum, position) => sum + position, 0) / positions.length;
+        });
+        movable.sort((a, b) => a.median - b.median || a.barycenter - b.barycenter || a.index - b.index);
+        
+        let next = 0;
+        const ordered = layer.map(node => (node[side].length > 0 ? movable[next++] : node));
+        ordered.forEach((node, index) => {
+            node.index = index;
+        });
+        this.layers[level] = ordered;
+    }
+    
+    /**
+     * Count edge crossings between every pair of neighboring rows, pausing
+     * after each pair
+     * @returns {number}
+     */
+    *countCrossings() {
+        let crossings = 0;
+        
+        for (let level = 0; level < this.layers.length - 1; level++) {
+            // Lower ends of the edges, in order of their upper ends
+            const ends = [];
+            this.layers[level].forEach(node => {
+                node.down.map(lower => lower.index).sort((a, b) => a - b).forEach(end => ends.push(end));
+            });
+            
+            // Each edge crosses the earlier ones ending to its right; a
+            // Fenwick tree counts those in O(log n) per edge
+            const size = this.layers[level + 1].length;
+            const counts = new Array(size + 1).fill(0);
+            ends.forEach((end, seen) => {
+                let atOrLeft = 0;
+                for (let i = end + 1; i > 0; i -= i & -i) atOrLeft += counts[i];
+                crossings += seen - atOrLeft;
+                for (let i = end + 1; i <= size; i += i & -i) counts[i]++;
+            });
+            yield;
+        }
+        
+        return crossings;
+    }
+    
+    /**
+     * Place the coaches in the best ordering found, pausing after each row is
+     * centered
+     * @returns {Object} - { x, width }, where x maps coach names to positions
+     *     and width is the room the rows need
+     */
+    *positions() {
+        this.layers = this.best.map(layer => layer.slice());
+        this.layers.forEach(layer => layer.forEach((node, index) => {
+            node.index = index;
+        }));
+        
+        // Start with every row of coaches packed from the left
+        const rows = this.layers.map(layer => layer.filter(node => node.name !== null));
+        rows.forEach(row => row.forEach((node, index) => {
+            node.x = index * this.spacing;
+        }));
+        
+        // Move staff under their head coaches and head coaches over their staff,
+        // finishing with head coaches so they end up centered
+        for (let round = 0; round < LAYOUT_CENTERING_ROUNDS; round++) {
+            for (const row of rows) {
+                this.placeRow(row, 'heads');
+                yield;
+            }
+            for (const row of rows.slice().reverse()) {
+                this.placeRow(row, 'staff');
+                yield;
+            }
+        }
+        
+        const nodes = rows.flat();
+        if (nodes.length === 0) return { x: new Map(), width: 0 };
+        
+        const left = Math.min(...nodes.map(node => node.x));
+        const x = new Map();
+        let width = 0;
+        nodes.forEach(node => {
+            const position = node.x - left + this.spacing;
+            x.set(node.name, position);
+            width = Math.max(width, position + this.spacing);
+        });
+        
+        return { x, width };
+    }
+    
+    /**
+     * Move each coach in a row as close as possible to the average position
+     * of their head coaches or staff without changing the row's order or
+     * bringing coaches closer than the spacing. Neighbors that would collide
+     * are merged into blocks placed at their average target, which gives the
+     * least total movement.
+     * @param {Array} row - Coach nodes in order
+     * @param {string} side - 'heads' or 'staff'
+     */
+    placeRow(row, side) {
+        // Targets less each coach's offset when packed, so the spacing drops out
+        const blocks = [];
+        row.forEach((node, index) => {
+            const target = node[side].length > 0
+                ? node[side].reduce((sum, neighbor) => sum + neighbor.x, 0) / node[side].length
+                : node.x;
+            let block = { start: index, total: target - index * this.spacing, count: 1 };
+            
+            while (blocks.length > 0) {
+                const previous = blocks[blocks.length - 1];
+                if (previous.total / previous.count < block.total / block.count) break;
+                blocks.pop();
+                block = { start: previous.start, total: previous.total + block.total, count: previous.count + block.count };
+            }
+            blocks.push(block);
+        });
+        
+        blocks.forEach(block => {
+            const position = block.total / block.count;
+            for (let index = block.start; index < block.start + block.count; index++) {
+                row[index].x = position + index * this.spacing;
+            }
+        });
+    }
+}
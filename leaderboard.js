@@ -0,0 +1,183 @@
+/**
+ * Ranked table of coaching trees for the NFL Coaching Tree Visualization
+ *
+ * Lists every coach with disciples by the tree metrics from stats.js.
+ * Columns can be shown or hidden and sorted by clicking their header;
+ * clicking a row reports the coach back through a callback.
+ */
+class Leaderboard {
+    /**
+     * @param {HTMLElement} container - Element to draw into
+     * @param {Function} onSelect - Called with the name of the clicked coach
+     */
+    constructor(container, onSelect) {
+        this.container = container;
+        this.onSelect = onSelect;
+        this.view = null;
+        this.visible = false;
+        
+        // Sorted by disciples promoted to head coach until a header is clicked
+        this.sortKey = 'headCoaches';
+        this.sortDescending = true;
+        this.columns = new Set(Object.keys(TREE_METRIC_LABELS));
+    }
+    
+    /**
+     * Show or hide the table
+     * @param {boolean} visible - Whether the table is shown
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        this.container.style.display = visible ? 'flex' : 'none';
+        if (visible) this.draw();
+    }
+    
+    /**
+     * Redraw from the visualization's current tree, if shown
+     * @param {Object} view - The visualization being ranked
+     */
+    update(view) {
+        this.view = view;
+        if (this.visible) this.draw();
+    }
+    
+    /**
+     * Sort by a column, flipping the order when it is already the sort column
+     * @param {string} key - 'name' or a key of TREE_METRIC_LABELS
+     */
+    sortBy(key) {
+        if (key === this.sortKey) {
+            this.sortDescending = !this.sortDescending;
+        } else {
+            this.sortKey = key;
+            // Names read best A to Z, metrics best first
+            this.sortDescending = key !== 'name';
+        }
+        this.draw();
+    }
+    
+    /**
+     * Coaches with disciples in the current sort order
+     * @returns {Array} - Entries of the form { name, metrics }
+     */
+    rankedEntries() {
+        // Every ranking lists the same coaches, so any of them can be sorted by name
+        if (this.sortKey === 'name') {
+            const entries = this.view.rankByTreeMetric('disciples').slice();
+            const direction = this.sortDescending ? -1 : 1;
+            return entries.sort((a, b) => direction * a.name.localeCompare(b.name));
+        }
+        
+        // Trees without head coaches have no win % and always go last
+        const ranked = this.view.rankByTreeMetric(this.sortKey);
+        if (this.sortDescending) return ranked;
+        const withValue = ranked.filter(entry => entry.metrics[this.sortKey] !== null);
+        return withValue.reverse().concat(ranked.slice(withValue.length));
+    }
+    
+    /**
+     * Draw the heading, column picker and table
+     */
+    draw() {
+        if (!this.view) return;
+        this.container.innerHTML = '';
+        
+        const header = document.createElement('div');
+        header.className = 'leaderboard-header';
+        
+        const title = document.createElement('h3');
+        title.textContent = 'Leaderboard';
+        header.appendChild(title);
+        
+        const closeBtn = document.createElement('span');
+        closeBtn.className = 'close-btn';
+        closeBtn.textContent = '×';
+        closeBtn.addEventListener('click', () => this.view.toggleLeaderboard(false));
+        header.appendChild(closeBtn);
+        this.container.appendChild(header);
+        
+        // Column picker
+        const picker = document.createElement('details');
+        picker.className = 'leaderboard-columns';
+        const summary = document.createElement('summary');
+        summary.textContent = 'Columns';
+        picker.appendChild(summary);
+        
+        Object.entries(TREE_METRIC_LABELS).forEach(([key, label]) => {
+            const option = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = this.columns.has(key);
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) {
+                    this.columns.add(key);
+                } else {
+                    this.columns.delete(key);
+                }
+                this.draw();
+                this.container.querySelector('.leaderboard-columns').open = true;
+            });
+            option.appendChild(checkbox);
+            option.appendChild(document.createTextNode(label));
+            picker.appendChild(option);
+        });
+        this.container.appendChild(picker);
+        
+        // Table
+        const columns = [{ key: 'name', label: 'Coach' }]
+            .concat(Object.keys(TREE_METRIC_LABELS)
+                .filter(key => this.columns.has(key))
+                .map(key => ({ key, label: TREE_METRIC_LABELS[key] })));
+        
+        const scroller = document.createElement('div');
+        scroller.className = 'leaderboard-table';
+        const table = document.createElement('table');
+        
+        const headRow = table.createTHead().insertRow();
+        const rankHeader = document.createElement('th');
+        rankHeader.textContent = '#';
+        headRow.appendChild(rankHeader);
+        
+        columns.forEach(column => {
+            const th = document.createElement('th');
+            th.textContent = column.label;
+            th.className = 'sortable';
+            if (column.key === this.sortKey) {
+                th.textContent += this.sortDescending ? ' ▼' : ' ▲';
+                th.setAttribute('aria-sort', this.sortDescending ? 'descending' : 'ascending');
+            }
+            th.addEventListener('click', () => this.sortBy(column.key));
+            headRow.appendChild(th);
+        });
+        
+        if (!this.view.getTreeMetrics()) {
+            const measuring = document.createElement('p');
+            measuring.textContent = 'Measuring coaching trees…';
+            this.container.appendChild(measuring);
+            return;
+        }
+        
+        const body = table.createTBody();
+        this.rankedEntries().forEach((entry, index) => {
+            const row = body.insertRow();
+            row.insertCell().textContent = index + 1;
+            
+            columns.forEach(column => {
+                const cell = row.insertCell();
+                if (column.key === 'name') {
+                    cell.textContent = entry.name;
+                } else if (column.key === 'pct') {
+                    cell.textContent = formatWinPercentage(entry.metrics.pct);
+                    cell.title = this.view.formatTreeMetric(entry.metrics, 'pct');
+                } else {
+                    cell.textContent = entry.metrics[column.key];
+                }
+            });
+            
+            row.addEventListener('click', () => this.onSelect(entry.name));
+        });
+        
+        scroller.appendChild(table);
+        this.container.appendChild(scroller);
+    }
+}
@@ -0,0 +1,148 @@
+/**
+ * Promotion timeline for the NFL Coaching Tree Visualization
+ *
+ * Lists every coach who went from someone's staff to a head-coaching job,
+ * season by season, from detectPromotions in stats.js. A summary above the
+ * timeline counts promotions by the role held last and by mentor.
+ */
+class PromotionTimeline {
+    /**
+     * @param {HTMLElement} container - Element to draw into
+     * @param {Function} onSelect - Called with the clicked promotion
+     */
+    constructor(container, onSelect) {
+        this.container = container;
+        this.onSelect = onSelect;
+        this.view = null;
+        this.visible = false;
+    }
+    
+    /**
+     * Show or hide the timeline
+     * @param {boolean} visible - Whether the timeline is shown
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        this.container.style.display = visible ? 'flex' : 'none';
+        if (visible) this.draw();
+    }
+    
+    /**
+     * Redraw from the visualization's current tree, if shown
+     * @param {Object} view - The visualization whose promotions are listed
+     */
+    update(view) {
+        this.view = view;
+        if (this.visible) this.draw();
+    }
+    
+    /**
+     * Count promotions by a key, most first
+     * @param {Array} promotions - Promotions from detectPromotions
+     * @param {Function} keyOf - Returns the key of a promotion
+     * @returns {Array} - [key, count] pairs
+     */
+    static countBy(promotions, keyOf) {
+        const counts = new Map();
+        promotions.forEach(promotion => {
+            const key = keyOf(promotion);
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+        return [...counts].sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])));
+    }
+    
+    /**
+     * Draw the heading, summary and timeline
+     */
+    draw() {
+        if (!this.view) return;
+        this.container.innerHTML = '';
+        const promotions = this.view.getPromotions();
+        
+        const header = document.createElement('div');
+        header.className = 'promotion-header';
+        
+        const title = document.createElement('h3');
+        title.textContent = `Promotions to head coach (${promotions.length})`;
+        header.appendChild(title);
+        
+        const closeBtn = document.createElement('span');
+        closeBtn.className = 'close-btn';
+        closeBtn.textContent = '×';
+        closeBtn.addEventListener('click', () => this.view.togglePromotionTimeline(false));
+        header.appendChild(closeBtn);
+        this.container.appendChild(header);
+        
+        if (promotions.length === 0) {
+            const empty = document.createElement('p');
+            empty.textContent = 'No coach in this tree became a head coach after serving on a staff';
+            this.container.appendChild(empty);
+            return;
+        }
+        
+        // Summary by role and by mentor
+        const summary = document.createElement('div');
+        summary.className = 'promotion-summary';
+        
+        const byRole = document.createElement('div');
+        const roleLabel = document.createElement('strong');
+        roleLabel.textContent = 'From role: ';
+        byRole.appendChild(roleLabel);
+        byRole.appendChild(document.createTextNode(
+            PromotionTimeline.countBy(promotions, promotion => promotion.role || 'Staff')
+                .map(([role, count]) => `${role} ${count}`)
+                .join(' · ')
+        ));
+        summary.appendChild(byRole);
+        
+        const byMentor = document.createElement('div');
+        const mentorLabel = document.createElement('strong');
+        mentorLabel.textContent = 'Top mentors: ';
+        byMentor.appendChild(mentorLabel);
+        PromotionTimeline.countBy(promotions, promotion => promotion.mentor)
+            .slice(0, 10)
+            .forEach(([mentor, count], index) => {
+                if (index > 0) byMentor.appendChild(document.createTextNode(' · '));
+                const link = document.createElement('a');
+                link.href = '#';
+                link.textContent = mentor;
+                link.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    this.view.jumpToCoach(mentor);
+                });
+                byMentor.appendChild(link);
+                byMentor.appendChild(document.createTextNode(` ${count}`));
+            });
+        summary.appendChild(byMentor);
+        this.container.appendChild(summary);
+        
+        // Timeline, one group per season
+        const list = document.createElement('div');
+        list.className = 'promotion-list';
+        let season = null;
+        promotions.forEach(promotion => {
+            if (promotion.season !== season) {
+                season = promotion.season;
+                const seasonHeading = document.createElement('div');
+                seasonHeading.className = 'promotion-season';
+                seasonHeading.textContent = season;
+                list.appendChild(seasonHeading);
+            }
+            
+            const item = document.createElement('div');
+            item.className = 'promotion-item';
+            item.title = `Hired by ${teamFullName(promotion.team, promotion.season)}`;
+            
+            const name = document.createElement('strong');
+            name.textContent = promotion.coach;
+            item.appendChild(name);
+            item.appendChild(document.createTextNode(
+                ` → ${promotion.team}, from ${promotion.role || 'staff'} under ${promotion.mentor} (${promotion.mentorTeam} ${promotion.lastSeason})`
+            ));
+            
+            item.addEventListener('click', () => this.onSelect(promotion));
+            list.appendChild(item);
+        });
+        this.container.appendChild(list);
+    }
+}
@@ -0,0 +1,868 @@
+/**
+ * Rendering backends for the NFL Coaching Tree Visualization
+ *
+ * Each renderer draws the coach/connection model held by a
+ * CoachingTreeVisualization into the tree container and reports
+ * clicks on coach nodes back through a callback. Renderers share
+ * the same interface:
+ *
+ *   render(view)            - draw everything from scratch
+ *   updateHighlights(view)  - redraw after the highlighted sets or node badges change
+ *   updateTransform(view)   - follow a change of view.transform (zoom and pan)
+ *   updatePositions(view)   - follow coaches moving and the tree size changing
+ *   pulse(coachName)        - briefly animate a node to draw attention to it
+ *   destroy()               - remove elements and listeners
+ *
+ * view.transform maps tree coordinates to container pixels:
+ * screenX = treeX * scale + x, screenY = treeY * scale + y.
+ */
+
+// Colors shared by every backend and the SVG export; node colors come from ROLE_TAXONOMY
+const TREE_COLORS = {
+    node: '#64748b',
+    connection: '#94a3b8',
+    highlight: '#f59e0b',
+    label: '#ffffff',
+    background: '#ffffff'
+};
+
+// Styles for SVG output, embedded in the page and in exported files
+const SVG_STYLES = `
+    .tree-svg .connection { fill: none; stroke: ${TREE_COLORS.connection}; opacity: 0.7; }
+    .tree-svg .connection.highlighted { stroke: ${TREE_COLORS.highlight}; opacity: 1; }
+    .tree-svg .coach-node { cursor: pointer; }
+    .tree-svg .coach-node circle { fill: ${TREE_COLORS.node}; }
+${Object.entries(ROLE_TAXONOMY).map(([code, info]) => `    .tree-svg .coach-node.${roleClass(code)} circle { fill: ${info.color}; }`).join('\n')}
+    .tree-svg .coach-node.highlighted circle { stroke: ${TREE_COLORS.highlight}; stroke-width: 5; }
+    .tree-svg .coach-node:hover circle { opacity: 0.85; }
+    .tree-svg .coach-node.pulse circle { animation: node-pulse 0.5s ease-in-out 3; }
+    @keyframes node-pulse { 50% { stroke: ${TREE_COLORS.highlight}; stroke-width: 24; } }
+    .tree-svg .edge-annotation { fill: #0f766e; font-family: Arial, sans-serif; font-size: 12px; font-weight: bold; text-anchor: middle; paint-order: stroke; stroke: ${TREE_COLORS.background}; stroke-width: 3px; pointer-events: none; }
+    .tree-svg .node-badge { fill: #92400e; font-family: Arial, sans-serif; font-size: 16px; font-weight: bold; text-anchor: middle; paint-order: stroke; stroke: ${TREE_COLORS.background}; stroke-width: 4px; pointer-events: none; }
+    .tree-svg .coach-node text { fill: ${TREE_COLORS.label}; font-family: Arial, sans-serif; font-size: 13px; font-weight: bold; text-anchor: middle; pointer-events: none; }
+`;
+
+// Above this many drawn edges the automatic renderer choice switches to canvas
+const CANVAS_EDGE_THRESHOLD = 3000;
+
+// How long a node pulses after being jumped to, in milliseconds
+const PULSE_DURATION = 1500;
+
+/**
+ * Escape text for use in XML content and attribute values
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+function escapeXML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Split a coach name into lines that fit inside a node circle
+ * @param {string} name - Coach name
+ * @param {number} [maxChars=12] - Longest line before wrapping
+ * @returns {Array} - Label lines
+ */
+function wrapLabel(name, maxChars = 12) {
+    const lines = [];
+    name.split(/\s+/).forEach(word => {
+        const last = lines[lines.length - 1];
+        if (last && (last + ' ' + word).length <= maxChars) {
+            lines[lines.length - 1] = `${last} ${word}`;
+        } else {
+            lines.push(word);
+        }
+    });
+    return lines;
+}
+
+/**
+ * Node color for a coach, from their most senior role
+ * @param {Object} coach - Coach data object
+ * @returns {string}
+ */
+function coachColor(coach) {
+    return roleInfo(coachMainRole(coach)).color;
+}
+
+/**
+ * Collapse connections to one drawable edge per head coach/coordinator pair.
+ * Seasons of the same pair would only be drawn on top of each other.
+ * @param {Object} view - The visualization being drawn
+ * @returns {Array} - Edges of the form { head, coordinator, years, highlighted },
+ *     where years counts the distinct seasons the pair worked together
+ */
+function drawableEdges(view) {
+    const edges = new Map();
+    view.connections.forEach(conn => {
+        const key = `${conn.head}\u0000${conn.coordinator}`;
+        let edge = edges.get(key);
+        if (!edge) {
+            edge = { head: view.coaches[conn.head], coordinator: view.coaches[conn.coordinator], seasons: new Set(), highlighted: false };
+            edges.set(key, edge);
+        }
+        edge.seasons.add(conn.season);
+        if (view.highlightedConnections.has(conn)) {
+            edge.highlighted = true;
+        }
+    });
+    return [...edges.values()].map(({ seasons, ...edge }) => ({ ...edge, years: seasons.size }));
+}
+
+/**
+ * Stroke width of an edge: thicker the more years the pair worked together
+ * @param {Object} edge - Edge from drawableEdges
+ * @returns {number}
+ */
+function edgeWidth(edge) {
+    return 2 + Math.min(edge.years, 16) * 0.5 + (edge.highlighted ? 2 : 0);
+}
+
+/**
+ * Group edges by how they are stroked, plain edges first so highlighted
+ * ones are drawn on top
+ * @param {Array} edges - Edges from drawableEdges
+ * @returns {Array} - Groups of the form { highlighted, width, edges }
+ */
+function edgeStrokeGroups(edges) {
+    const groups = new Map();
+    edges.forEach(edge => {
+        const width = edgeWidth(edge);
+        const key = `${edge.highlighted}:${width}`;
+        if (!groups.has(key)) groups.set(key, { highlighted: edge.highlighted, width, edges: [] });
+        groups.get(key).edges.push(edge);
+    });
+    return [...groups.values()].sort((a, b) => a.highlighted - b.highlighted || a.width - b.width);
+}
+
+/**
+ * Build SVG markup for the edges, one path per stroke group
+ * @param {Array} edges - Edges from drawableEdges
+ * @returns {string}
+ */
+function connectionMarkup(edges) {
+    return edgeStrokeGroups(edges)
+        .map(group => `<path class="connection${group.highlighted ? ' highlighted' : ''}" stroke-width="${group.width}" d="${edgePathData(group.edges)}"/>`)
+        .join('');
+}
+
+/**
+ * Build SVG markup for the short labels drawn above nodes
+ * @param {Object} view - The visualization being drawn
+ * @returns {string}
+ */
+function nodeBadgeMarkup(view) {
+    const parts = [];
+    view.nodeBadges.forEach((text, name) => {
+        const coach = view.coaches[name];
+        if (coach) {
+            parts.push(`<text class="node-badge" x="${coach.x}" y="${coach.y - view.nodeRadius - 8}">${escapeXML(text)}</text>`);
+        }
+    });
+    return parts.join('');
+}
+
+/**
+ * Midpoints of the annotated edges whose coaches are both in the tree
+ * @param {Object} view - The visualization being drawn
+ * @returns {Array} - Entries of the form { x, y, text }
+ */
+function edgeAnnotationPoints(view) {
+    return view.edgeAnnotations
+        .filter(annotation => view.coaches[annotation.head] && view.coaches[annotation.coordinator])
+        .map(annotation => {
+            const head = view.coaches[annotation.head];
+            const coordinator = view.coaches[annotation.coordinator];
+            return { x: (head.x + coordinator.x) / 2, y: (head.y + coordinator.y) / 2, text: annotation.text };
+        });
+}
+
+/**
+ * Build SVG markup for the labels drawn on annotated edges
+ * @param {Object} view - The visualization being drawn
+ * @returns {string}
+ */
+function edgeAnnotationMarkup(view) {
+    return edgeAnnotationPoints(view)
+        .map(point => `<text class="edge-annotation" x="${point.x}" y="${point.y}">${escapeXML(point.text)}</text>`)
+        .join('');
+}
+
+/**
+ * Build SVG path data drawing each edge as a straight segment
+ * @param {Array} edges - Edges from drawableEdges
+ * @returns {string}
+ */
+function edgePathData(edges) {
+    return edges
+        .map(edge => `M${edge.head.x} ${edge.head.y}L${edge.coordinator.x} ${edge.coordinator.y}`)
+        .join('');
+}
+
+/**
+ * Draws the tree as a single inline SVG element. Edges are batched into
+ * one path per stroke width and highlight so large trees stay cheap to update.
+ */
+class SvgRenderer {
+    /**
+     * @param {HTMLElement} container - Element to draw into
+     * @param {Function} onCoachClick - Called with (coach, clientX, clientY)
+     */
+    constructor(container, onCoachClick) {
+        this.container = container;
+        this.onCoachClick = onCoachClick;
+        this.svgElement = null;
+        this.nodeElements = new Map();
+    }
+    
+    /**
+     * Build the SVG markup for the whole tree
+     * @param {Object} view - The visualization being drawn
+     * @param {boolean} [standalone=false] - Add a white background for use outside the page
+     * @returns {string}
+     */
+    static markup(view, standalone = false) {
+        const r = view.nodeRadius;
+        const edges = drawableEdges(view);
+        
+        const parts = [];
+        parts.push(`<svg xmlns="http://www.w3.org/2000/svg" class="tree-svg" width="${view.treeWidth}" height="${view.treeHeight}" viewBox="0 0 ${view.treeWidth} ${view.treeHeight}">`);
+        parts.push(`<style>${SVG_STYLES}</style>`);
+        if (standalone) {
+            parts.push(`<rect width="100%" height="100%" fill="${TREE_COLORS.background}"/>`);
+        }
+        
+        parts.push(`<g class="connections">${connectionMarkup(edges)}</g>`);
+        
+        Object.values(view.coaches).forEach(coach => {
+            const classes = ['coach-node', roleClass(coachMainRole(coach))];
+            if (view.highlightedCoaches.has(coach.name)) classes.push('highlighted');
+            
+            const lines = wrapLabel(coach.name);
+            const lineHeight = 15;
+            const firstY = coach.y - ((lines.length - 1) * lineHeight) / 2 + 4;
+            const tspans = lines
+                .map((text, i) => `<tspan x="${coach.x}" y="${firstY + i * lineHeight}">${escapeXML(text)}</tspan>`)
+                .join('');
+            
+            parts.push(`<g class="${classes.join(' ')}" data-coach="${escapeXML(coach.name)}"><title>${escapeXML(coach.name)}</title><circle cx="${coach.x}" cy="${coach.y}" r="${r}"/><text>${tspans}</text></g>`);
+        });
+        
+        parts.push(`<g class="edge-annotations">${edgeAnnotationMarkup(view)}</g>`);
+        parts.push(`<g class="node-badges">${nodeBadgeMarkup(view)}</g>`);
+        parts.push('</svg>');
+        return parts.join('\n');
+    }
+    
+    /**
+     * Draw everything from scratch
+     * @param {Object} view - The visualization being drawn
+     */
+    render(view) {
+        this.destroy();
+        
+        const wrapper = document.createElement('div');
+        wrapper.innerHTML = SvgRenderer.markup(view);
+        this.svgElement = wrapper.firstElementChild;
+        
+        this.svgElement.querySelectorAll('.coach-node').forEach(nodeEl => {
+            this.nodeElements.set(nodeEl.dataset.coach, nodeEl);
+        });
+        
+        // One delegated listener instead of one per node
+        this.svgElement.addEventListener('click', (e) => {
+            const nodeEl = e.target.closest('.coach-node');
+            if (nodeEl) {
+                this.onCoachClick(view.coaches[nodeEl.dataset.coach], e.clientX, e.clientY);
+            }
+        });
+        
+        this.container.appendChild(this.svgElement);
+        this.updateTransform(view);
+    }
+    
+    /**
+     * Move and scale the SVG element to follow zoom and pan
+     * @param {Object} view - The visualization being drawn
+     */
+    updateTransform(view) {
+        if (!this.svgElement) return;
+        
+        const { scale, x, y } = view.transform;
+        this.svgElement.style.transform = `translate(${x}px, ${y}px) scale(${scale})`;
+    }
+    
+    /**
+     * Redraw highlighted edges, node outlines, edge labels and badges
+     * @param {Object} view - The visualization being drawn
+     */
+    updateHighlights(view) {
+        if (!this.svgElement) return;
+        
+        this.svgElement.querySelector('.connections').innerHTML = connectionMarkup(drawableEdges(view));
+        
+        this.nodeElements.forEach((nodeEl, name) => {
+            nodeEl.classList.toggle('highlighted', view.highlightedCoaches.has(name));
+        });
+        
+        this.svgElement.querySelector('.edge-annotations').innerHTML = edgeAnnotationMarkup(view);
+        this.svgElement.querySelector('.node-badges').innerHTML = nodeBadgeMarkup(view);
+    }
+    
+    /**
+     * Move nodes, edges and badges to the coaches' current positions
+     * @param {Object} view - The visualization being drawn
+     */
+    updatePositions(view) {
+        if (!this.svgElement) return;
+        
+        this.svgElement.setAttribute('width', view.treeWidth);
+        this.svgElement.setAttribute('height', view.treeHeight);
+        this.svgElement.setAttribute('viewBox', `0 0 ${view.treeWidth} ${view.treeHeight}`);
+        
+        this.nodeElements.forEach((nodeEl, name) => {
+            const coach = view.coaches[name];
+            const circle = nodeEl.querySelector('circle');
+            circle.setAttribute('cx', coach.x);
+            circle.setAttribute('cy', coach.y);
+            
+            const tspans = nodeEl.querySelectorAll('tspan');
+            const lineHeight = 15;
+            const firstY = coach.y - ((tspans.length - 1) * lineHeight) / 2 + 4;
+            tspans.forEach((tspan, i) => {
+                tspan.setAttribute('x', coach.x);
+                tspan.setAttribute('y', firstY + i * lineHeight);
+            });
+        });
+        
+        this.updateHighlights(view);
+    }
+    
+    /**
+     * Briefly animate a node
+     * @param {string} coachName - Name of the coach
+     */
+    pulse(coachName) {
+        const nodeEl = this.nodeElements.get(coachName);
+        if (!nodeEl) return;
+        
+        // Restart the animation if the node is already pulsing
+        nodeEl.classList.remove('pulse');
+        nodeEl.getBoundingClientRect();
+        nodeEl.classList.add('pulse');
+        setTimeout(() => nodeEl.classList.remove('pulse'), PULSE_DURATION);
+    }
+    
+    /**
+     * Remove the SVG element
+     */
+    destroy() {
+        if (this.svgElement) {
+            this.svgElement.remove();
+            this.svgElement = null;
+        }
+        this.nodeElements.clear();
+    }
+}
+
+/**
+ * Items bucketed by square grid cell, so hit-tests only look at what is
+ * near the pointer. Points go in one cell; segments in every cell they cross.
+ */
+class GridIndex {
+    /**
+     * @param {number} cellSize - Width and height of a cell, in tree coordinates
+     */
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+    }
+    
+    /**
+     * Add an item to one cell
+     * @param {Object} item - Item to index
+     * @param {number} x - Tree X coordinate
+     * @param {number} y - Tree Y coordinate
+     */
+    addPoint(item, x, y) {
+        const key = `${Math.floor(x / this.cellSize)},${Math.floor(y / this.cellSize)}`;
+        if (!this.cells.has(key)) this.cells.set(key, []);
+        this.cells.get(key).push(item);
+    }
+    
+    /**
+     * Add an item to every cell a segment passes through
+     * @param {Object} item - Item to index
+     * @param {number} x1 - Start X
+     * @param {number} y1 - Start Y
+     * @param {number} x2 - End X
+     * @param {number} y2 - End Y
+     */
+    addSegment(item, x1, y1, x2, y2) {
+        // Steps of half a cell cannot jump over one
+        const steps = Math.max(1, Math.ceil(Math.hypot(x2 - x1, y2 - y1) / (this.cellSize / 2)));
+        const added = new Set();
+        for (let i = 0; i <= steps; i++) {
+            const x = x1 + ((x2 - x1) * i) / steps;
+            const y = y1 + ((y2 - y1) * i) / steps;
+            const key = `${Math.floor(x / this.cellSize)},${Math.floor(y / this.cellSize)}`;
+            if (added.has(key)) continue;
+            added.add(key);
+            if (!this.cells.has(key)) this.cells.set(key, []);
+            this.cells.get(key).push(item);
+        }
+    }
+    
+    /**
+     * Items in the cell under a point and the cells around it
+     * @param {number} x - Tree X coordinate
+     * @param {number} y - Tree Y coordinate
+     * @returns {Array} - Each item once, in no particular order
+     */
+    near(x, y) {
+        const cellX = Math.floor(x / this.cellSize);
+        const cellY = Math.floor(y / this.cellSize);
+        const found = new Set();
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                (this.cells.get(`${cellX + dx},${cellY + dy}`) || []).forEach(item => found.add(item));
+            }
+        }
+        return [...found];
+    }
+}
+
+/**
+ * Draws the tree onto a canvas the size of the container, so drawing cost
+ * depends on what is visible rather than the tree size. Clicks are
+ * hit-tested against a grid index of node positions.
+ */
+class CanvasRenderer {
+    /**
+     * @param {HTMLElement} container - Element to draw into
+     * @param {Function} onCoachClick - Called with (coach, clientX, clientY)
+     */
+    constructor(container, onCoachClick) {
+        this.container = container;
+        this.onCoachClick = onCoachClick;
+        this.canvas = null;
+        this.view = null;
+        this.edges = [];
+        this.grid = null;
+        this.frameRequested = false;
+        this.pulsing = null;
+        
+        this.handleViewportChange = () => this.requestDraw();
+    }
+    
+    /**
+     * Draw everything from scratch
+     * @param {Object} view - The visualization being drawn
+     */
+    render(view) {
+        this.destroy();
+        this.view = view;
+        this.edges = drawableEdges(view);
+        this.buildGrid();
+        
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'tree-canvas';
+        
+        this.canvas.addEventListener('click', (e) => {
+            const coach = this.coachAt(e.clientX, e.clientY);
+            if (coach) this.onCoachClick(coach, e.clientX, e.clientY);
+        });
+        this.canvas.addEventListener('mousemove', (e) => {
+            this.canvas.style.cursor = this.coachAt(e.clientX, e.clientY) ? 'pointer' : 'default';
+        });
+        
+        window.addEventListener('resize', this.handleViewportChange);
+        
+        this.container.appendChild(this.canvas);
+        this.draw();
+    }
+    
+    /**
+     * Redraw after zoom or pan
+     * @param {Object} view - The visualization being drawn
+     */
+    updateTransform(view) {
+        if (!this.canvas) return;
+        
+        this.view = view;
+        this.requestDraw();
+    }
+    
+    /**
+     * Redraw after the highlighted sets change
+     * @param {Object} view - The visualization being drawn
+     */
+    updateHighlights(view) {
+        if (!this.canvas) return;
+        
+        this.view = view;
+        this.edges = drawableEdges(view);
+        this.requestDraw();
+    }
+    
+    /**
+     * Redraw after coaches move
+     * @param {Object} view - The visualization being drawn
+     */
+    updatePositions(view) {
+        if (!this.canvas) return;
+        
+        this.view = view;
+        this.buildGrid();
+        this.requestDraw();
+    }
+    
+    /**
+     * Briefly animate a node
+     * @param {string} coachName - Name of the coach
+     */
+    pulse(coachName) {
+        this.pulsing = { coachName, start: performance.now() };
+        this.requestDraw();
+    }
+    
+    /**
+     * Remove the canvas and window listeners
+     */
+    destroy() {
+        if (this.canvas) {
+            this.canvas.remove();
+            this.canvas = null;
+        }
+        window.removeEventListener('resize', this.handleViewportChange);
+    }
+    
+    /**
+     * Index nodes by grid cell for hit-testing
+     */
+    buildGrid() {
+        this.grid = new GridIndex(this.view.nodeRadius * 2);
+        Object.values(this.view.coaches).forEach(coach => this.grid.addPoint(coach, coach.x, coach.y));
+    }
+    
+    /**
+     * Find the coach node under a point
+     * @param {number} clientX - Pointer X position
+     * @param {number} clientY - Pointer Y position
+     * @returns {Object|null} - Coach data object
+     */
+    coachAt(clientX, clientY) {
+        const rect = this.container.getBoundingClientRect();
+        const { scale, x: offsetX, y: offsetY } = this.view.transform;
+        const x = (clientX - rect.left - offsetX) / scale;
+        const y = (clientY - rect.top - offsetY) / scale;
+        const r = this.view.nodeRadius;
+        
+        // A node can overlap its neighbouring cells, which near() includes
+        return this.grid.near(x, y).find(coach => (coach.x - x) ** 2 + (coach.y - y) ** 2 <= r * r) || null;
+    }
+    
+    /**
+     * Schedule a redraw on the next animation frame
+     */
+    requestDraw() {
+        if (this.frameRequested) return;
+        this.frameRequested = true;
+        requestAnimationFrame(() => {
+            this.frameRequested = false;
+            this.draw();
+        });
+    }
+    
+    /**
+     * Draw the part of the tree inside the container
+     */
+    draw() {
+        if (!this.canvas) return;
+        
+        const containerWidth = this.container.clientWidth;
+        const containerHeight = this.container.clientHeight;
+        const ratio = window.devicePixelRatio || 1;
+        this.canvas.style.width = `${containerWidth}px`;
+        this.canvas.style.height = `${containerHeight}px`;
+        this.canvas.width = Math.round(containerWidth * ratio);
+        this.canvas.height = Math.round(containerHeight * ratio);
+        
+        const context = this.canvas.getContext('2d');
+        if (!context || containerWidth === 0 || containerHeight === 0) return;
+        
+        // Visible part of the tree, in tree coordinates
+        const { scale, x, y } = this.view.transform;
+        const left = -x / scale;
+        const top = -y / scale;
+        const width = containerWidth / scale;
+        const height = containerHeight / scale;
+        
+        context.setTransform(ratio * scale, 0, 0, ratio * scale, ratio * x, ratio * y);
+        context.fillStyle = TREE_COLORS.background;
+        context.fillRect(left, top, width, height);
+        
+        const r = this.view.nodeRadius;
+        const visible = (x1, y1, x2, y2) =>
+            Math.max(x1, x2) + r >= left && Math.min(x1, x2) - r <= left + width &&
+            Math.max(y1, y2) + r >= top && Math.min(y1, y2) - r <= top + height;
+        
+        // Edges, batched into one stroke per width and highlight
+        edgeStrokeGroups(this.edges).forEach(group => {
+            context.beginPath();
+            group.edges.forEach(edge => {
+                if (visible(edge.head.x, edge.head.y, edge.coordinator.x, edge.coordinator.y)) {
+                    context.moveTo(edge.head.x, edge.head.y);
+                    context.lineTo(edge.coordinator.x, edge.coordinator.y);
+                }
+            });
+            context.globalAlpha = group.highlighted ? 1 : 0.7;
+            context.strokeStyle = group.highlighted ? TREE_COLORS.highlight : TREE_COLORS.connection;
+            context.lineWidth = group.width;
+            context.stroke();
+        });
+        context.globalAlpha = 1;
+        
+        // Nodes
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.font = 'bold 13px Arial, sans-serif';
+        
+        Object.values(this.view.coaches).forEach(coach => {
+            if (!visible(coach.x, coach.y, coach.x, coach.y)) return;
+            
+            context.beginPath();
+            context.arc(coach.x, coach.y, r, 0, Math.PI * 2);
+            context.fillStyle = coachColor(coach);
+            context.fill();
+            
+            if (this.view.highlightedCoaches.has(coach.name)) {
+                context.strokeStyle = TREE_COLORS.highlight;
+                context.lineWidth = 5;
+                context.stroke();
+            }
+            
+            // Labels are unreadable when zoomed far out and cost the most to draw
+            if (scale < 0.3) return;
+            
+            const lines = wrapLabel(coach.name);
+            const lineHeight = 15;
+            const firstY = coach.y - ((lines.length - 1) * lineHeight) / 2;
+            context.fillStyle = TREE_COLORS.label;
+            lines.forEach((text, i) => context.fillText(text, coach.x, firstY + i * lineHeight));
+        });
+        
+        // Edge annotations, skipped with the labels when zoomed far out
+        if (scale >= 0.3) {
+            context.font = 'bold 12px Arial, sans-serif';
+            context.lineWidth = 3;
+            context.strokeStyle = TREE_COLORS.background;
+            context.fillStyle = '#0f766e';
+            edgeAnnotationPoints(this.view).forEach(point => {
+                if (!visible(point.x, point.y, point.x, point.y)) return;
+                context.strokeText(point.text, point.x, point.y);
+                context.fillText(point.text, point.x, point.y);
+            });
+        }
+        
+        // Node badges
+        context.font = 'bold 16px Arial, sans-serif';
+        context.lineWidth = 4;
+        context.strokeStyle = TREE_COLORS.background;
+        context.fillStyle = '#92400e';
+        this.view.nodeBadges.forEach((text, name) => {
+            const coach = this.view.coaches[name];
+            if (!coach || !visible(coach.x, coach.y, coach.x, coach.y)) return;
+            const badgeY = coach.y - r - 14;
+            context.strokeText(text, coach.x, badgeY);
+            context.fillText(text, coach.x, badgeY);
+        });
+        
+        // Pulse ring, redrawn every frame until it finishes
+        if (this.pulsing) {
+            const elapsed = performance.now() - this.pulsing.start;
+            const coach = this.view.coaches[this.pulsing.coachName];
+            if (elapsed > PULSE_DURATION || !coach) {
+                this.pulsing = null;
+            } else {
+                const wave = Math.sin((elapsed / PULSE_DURATION) * Math.PI * 6);
+                context.beginPath();
+                context.arc(coach.x, coach.y, r + 6 + Math.abs(wave) * 12, 0, Math.PI * 2);
+                context.strokeStyle = TREE_COLORS.highlight;
+                context.lineWidth = 5 / Math.max(scale, 0.2);
+                context.stroke();
+                this.requestDraw();
+            }
+        }
+    }
+}
+
+/**
+ * Overview of the whole tree drawn as one dot per coach, with the visible
+ * part of the tree outlined. Dragging on the minimap pans the main view.
+ */
+class Minimap {
+    /**
+     * @param {HTMLElement} container - Element to draw into
+     * @param {Function} onNavigate - Called with the tree (x, y) to center the main view on
+     */
+    constructor(container, onNavigate) {
+        this.container = container;
+        this.onNavigate = onNavigate;
+        this.view = null;
+        this.frameRequested = false;
+        this.maxSize = 200;
+        
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'minimap-canvas';
+        this.container.appendChild(this.canvas);
+        
+        this.setupDragging();
+    }
+    
+    /**
+     * Pan the main view by pressing or dragging on the minimap
+     */
+    setupDragging() {
+        let dragOffset = null;
+        
+        this.canvas.addEventListener('pointerdown', (e) => {
+            if (!this.view) return;
+            e.preventDefault();
+            this.canvas.setPointerCapture(e.pointerId);
+            
+            // Grabbing the viewport rectangle keeps the grab point under the pointer;
+            // pressing elsewhere jumps the view there
+            const point = this.treePoint(e.clientX, e.clientY);
+            const viewport = this.viewportRect();
+            const inside = point.x >= viewport.x && point.x <= viewport.x + viewport.width &&
+                point.y >= viewport.y && point.y <= viewport.y + viewport.height;
+            
+            dragOffset = inside
+                ? { x: point.x - (viewport.x + viewport.width / 2), y: point.y - (viewport.y + viewport.height / 2) }
+                : { x: 0, y: 0 };
+            this.onNavigate(point.x - dragOffset.x, point.y - dragOffset.y);
+        });
+        
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (!dragOffset) return;
+            const point = this.treePoint(e.clientX, e.clientY);
+            this.onNavigate(point.x - dragOffset.x, point.y - dragOffset.y);
+        });
+        
+        const endDrag = () => {
+            dragOffset = null;
+        };
+        this.canvas.addEventListener('pointerup', endDrag);
+        this.canvas.addEventListener('pointercancel', endDrag);
+    }
+    
+    /**
+     * Minimap pixels per tree pixel
+     * @returns {number}
+     */
+    scale() {
+        return this.maxSize / Math.max(this.view.treeWidth, this.view.treeHeight);
+    }
+    
+    /**
+     * Convert a pointer position on the minimap to tree coordinates
+     * @param {number} clientX - Pointer X position
+     * @param {number} clientY - Pointer Y position
+     * @returns {Object} - { x, y }
+     */
+    treePoint(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        const scale = this.scale();
+        return {
+            x: (clientX - rect.left) / scale,
+            y: (clientY - rect.top) / scale
+        };
+    }
+    
+    /**
+     * The part of the tree visible in the main view, in tree coordinates
+     * @returns {Object} - { x, y, width, height }
+     */
+    viewportRect() {
+        const { scale, x, y } = this.view.transform;
+        const main = this.view.treeElement;
+        return {
+            x: -x / scale,
+            y: -y / scale,
+            width: main.clientWidth / scale,
+            height: main.clientHeight / scale
+        };
+    }
+    
+    /**
+     * Redraw on the next animation frame
+     * @param {Object} view - The visualization being drawn
+     */
+    update(view) {
+        this.view = view;
+        if (this.frameRequested) return;
+        this.frameRequested = true;
+        requestAnimationFrame(() => {
+            this.frameRequested = false;
+            this.draw();
+        });
+    }
+    
+    /**
+     * Draw coach dots, highlights and the viewport rectangle
+     */
+    draw() {
+        const view = this.view;
+        const hasData = view && Object.keys(view.coaches).length > 0;
+        this.container.style.display = hasData ? 'block' : 'none';
+        if (!hasData) return;
+        
+        const scale = this.scale();
+        const width = Math.max(1, Math.round(view.treeWidth * scale));
+        const height = Math.max(1, Math.round(view.treeHeight * scale));
+        const ratio = window.devicePixelRatio || 1;
+        
+        this.canvas.style.width = `${width}px`;
+        this.canvas.style.height = `${height}px`;
+        this.canvas.width = Math.round(width * ratio);
+        this.canvas.height = Math.round(height * ratio);
+        
+        const context = this.canvas.getContext('2d');
+        if (!context) return;
+        
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        context.fillStyle = TREE_COLORS.background;
+        context.fillRect(0, 0, width, height);
+        
+        // Plain dots first, highlighted dots on top and larger
+        const highlighted = [];
+        Object.values(view.coaches).forEach(coach => {
+            if (view.highlightedCoaches.has(coach.name)) {
+                highlighted.push(coach);
+                return;
+            }
+            context.fillStyle = coachColor(coach);
+            context.fillRect(coach.x * scale - 1, coach.y * scale - 1, 2, 2);
+        });
+        
+        context.fillStyle = TREE_COLORS.highlight;
+        highlighted.forEach(coach => {
+            context.beginPath();
+            context.arc(coach.x * scale, coach.y * scale, 3, 0, Math.PI * 2);
+            context.fill();
+        });
+        
+        // Viewport rectangle
+        const viewport = this.viewportRect();
+        context.fillStyle = 'rgba(220, 38, 38, 0.08)';
+        context.strokeStyle = '#dc2626';
+        context.lineWidth = 1.5;
+        context.fillRect(viewport.x * scale, viewport.y * scale, viewport.width * scale, viewport.height * scale);
+        context.strokeRect(viewport.x * scale, viewport.y * scale, viewport.width * scale, viewport.height * scale);
+    }
+}
@@ -0,0 +1,58 @@
+/**
+ * Role taxonomy for the NFL Coaching Tree Visualization
+ *
+ * Describes every role code found in the staff data. Each entry has:
+ *
+ *   label      - readable name shown in the UI
+ *   side       - 'offense', 'defense', 'special teams' or 'all'
+ *   seniority  - rank used to pick a coach's main role (higher is more senior)
+ *   color      - node color for coaches whose main role this is
+ *
+ * 'Head Coach' is not a code in the data; it is the role given to the
+ * head_coach column of each row.
+ */
+const ROLE_TAXONOMY = {
+    'Head Coach': { label: 'Head Coach', side: 'all', seniority: 5, color: '#1e3a8a' },
+    OC: { label: 'Offensive Coordinator', side: 'offense', seniority: 4, color: '#059669' },
+    DC: { label: 'Defensive Coordinator', side: 'defense', seniority: 4, color: '#b91c1c' },
+    STC: { label: 'Special Teams Coordinator', side: 'special teams', seniority: 4, color: '#7c3aed' },
+    aHC: { label: 'Assistant Head Coach', side: 'all', seniority: 3, color: '#0e7490' },
+    aOC: { label: 'Assistant Offensive Coordinator', side: 'offense', seniority: 2, color: '#34d399' },
+    aDC: { label: 'Assistant Defensive Coordinator', side: 'defense', seniority: 2, color: '#f87171' },
+    aSTC: { label: 'Assistant Special Teams Coordinator', side: 'special teams', seniority: 2, color: '#a78bfa' },
+    aC: { label: 'Assistant Coach', side: 'all', seniority: 1, color: '#64748b' },
+    Scout: { label: 'Scout', side: 'all', seniority: 0, color: '#a16207' },
+    Intern: { label: 'Intern', side: 'all', seniority: 0, color: '#94a3b8' }
+};
+
+// Lowest seniority counted as coordinator level
+const COORDINATOR_SENIORITY = 4;
+
+/**
+ * Look up a role code, describing unknown codes as junior roles
+ * @param {string} code - Role code from the data
+ * @returns {Object} - Taxonomy entry
+ */
+function roleInfo(code) {
+    return ROLE_TAXONOMY[code] || { label: code, side: 'all', seniority: -1, color: '#64748b' };
+}
+
+/**
+ * CSS class name for a role code
+ * @param {string} code - Role code from the data
+ * @returns {string}
+ */
+function roleClass(code) {
+    return `role-${code.replace(/[^A-Za-z0-9]+/g, '-').toLowerCase()}`;
+}
+
+/**
+ * A coach's most senior role code, which decides their node color
+ * @param {Object} coach - Coach data object
+ * @returns {string}
+ */
+function coachMainRole(coach) {
+    return coach.roles.reduce((best, role) =>
+        best === null || roleInfo(role.role).seniority > roleInfo(best).seniority ? role.role : best
+    , null) || 'Head Coach';
+}
@@ -0,0 +1,247 @@
+/**
+ * Career statistics for the NFL Coaching Tree Visualization
+ *
+ * Every staff row repeats the head coach's record for that team-season, so
+ * a head coach with five coordinators in a season appears five times.
+ * These helpers count each head coach's team-season once and report
+ * win-loss-tie totals, win percentage, seasons and per-team splits.
+ * Tree metrics and promotions to head coach build on the same data.
+ */
+
+/**
+ * Parse a record like "10.0-6.0-0.0" into whole numbers
+ * @param {string} record - Record as stored on a role
+ * @returns {Object|null} - { wins, losses, ties }, or null if the record is
+ *     missing or any part is not a number
+ */
+function parseRecord(record) {
+    const parts = String(record || '').split('-');
+    if (parts.length !== 3 || parts.some(part => !/^\d+(\.\d+)?$/.test(part.trim()))) return null;
+    
+    const [wins, losses, ties] = parts.map(part => Math.round(parseFloat(part)));
+    return { wins, losses, ties };
+}
+
+/**
+ * Format a record as W-L, adding ties only when there were any
+ * @param {Object|null} record - { wins, losses, ties }
+ * @returns {string} - e.g. "10-6" or "8-7-1", or "–" if unknown
+ */
+function formatRecord(record) {
+    if (!record) return '–';
+    return record.ties > 0
+        ? `${record.wins}-${record.losses}-${record.ties}`
+        : `${record.wins}-${record.losses}`;
+}
+
+/**
+ * Win percentage with ties counted as half a win, as the NFL does
+ * @param {Object} record - { wins, losses, ties }
+ * @returns {number|null} - Between 0 and 1, or null without games
+ */
+function winPercentage(record) {
+    const games = record.wins + record.losses + record.ties;
+    return games > 0 ? (record.wins + record.ties / 2) / games : null;
+}
+
+/**
+ * Format a win percentage the way standings show it
+ * @param {number|null} pct - Win percentage between 0 and 1
+ * @returns {string} - e.g. ".625" or "1.000", or "–" without games
+ */
+function formatWinPercentage(pct) {
+    if (pct === null) return '–';
+    return pct >= 1 ? '1.000' : pct.toFixed(3).replace(/^0/, '');
+}
+
+/**
+ * Compute head-coaching career totals for every head coach in the rows
+ * @param {Array} rows - Source rows (Season, head_coach, team, wins, losses, ties)
+ * @returns {Map} - Coach name to { wins, losses, ties, pct, seasons, teams },
+ *     where teams lists per-team splits of the same shape plus team, from and to
+ */
+function computeCareerStats(rows) {
+    // One record per head coach, team and season
+    const teamSeasons = new Map();
+    rows.forEach(row => {
+        const season = parseInt(row.Season);
+        const key = `${row.head_coach}\u0000${row.team}\u0000${season}`;
+        if (isNaN(season) || teamSeasons.has(key)) return;
+        
+        // Rows without a record, allowed with a warning, do not count
+        const record = parseRecord(`${row.wins}-${row.losses}-${row.ties}`);
+        if (!record) return;
+        teamSeasons.set(key, { coach: row.head_coach, team: row.team, season, ...record });
+    });
+    
+    const stats = new Map();
+    const addTo = (totals, entry) => {
+        totals.wins += entry.wins;
+        totals.losses += entry.losses;
+        totals.ties += entry.ties;
+        totals.seasons += 1;
+        totals.from = Math.min(totals.from, entry.season);
+        totals.to = Math.max(totals.to, entry.season);
+    };
+    const emptyTotals = () => ({ wins: 0, losses: 0, ties: 0, seasons: 0, from: Infinity, to: -Infinity });
+    
+    teamSeasons.forEach(entry => {
+        if (!stats.has(entry.coach)) {
+            stats.set(entry.coach, { ...emptyTotals(), teamSplits: new Map() });
+        }
+        const career = stats.get(entry.coach);
+        addTo(career, entry);
+        
+        // Split by franchise so relocated teams stay together
+        const splitKey = franchiseFor(entry.team, entry.season) || entry.team;
+        if (!career.teamSplits.has(splitKey)) {
+            career.teamSplits.set(splitKey, { ...emptyTotals(), team: entry.team });
+        }
+        const split = career.teamSplits.get(splitKey);
+        addTo(split, entry);
+        if (entry.season === split.to) split.team = entry.team;
+    });
+    
+    stats.forEach((career, coach) => {
+        const teams = [...career.teamSplits.values()]
+            .map(split => ({ ...split, pct: winPercentage(split) }))
+            .sort((a, b) => a.from - b.from);
+        const { teamSplits, ...totals } = career;
+        stats.set(coach, { ...totals, pct: winPercentage(totals), teams });
+    });
+    
+    return stats;
+}
+
+// Tree metrics and how they are labeled in the UI
+const TREE_METRIC_LABELS = {
+    direct: 'Direct disciples',
+    disciples: 'Disciples',
+    generations: 'Generations deep',
+    headCoaches: 'Became head coaches',
+    pct: 'Combined win %',
+    seasons: 'Head-coaching seasons'
+};
+
+/**
+ * Measure one coach's tree: everyone reachable through coordinatorsUnder,
+ * how many of them have head-coaching careers and how those careers went.
+ * Each call walks the whole tree, so callers measuring every coach should
+ * spread the calls out rather than make them all at once.
+ * @param {Object} coaches - Coach lookup
+ * @param {Map} careerStats - Career totals from computeCareerStats
+ * @param {string} coachName - Name of the coach whose tree is measured
+ * @returns {Object} - { direct, disciples, generations, headCoaches, wins,
+ *     losses, ties, pct, seasons }
+ */
+function computeTreeMetrics(coaches, careerStats, coachName) {
+    const coach = coaches[coachName];
+    
+    // Breadth-first, so each disciple is reached at their shallowest generation
+    const reached = new Set([coach.name]);
+    let frontier = [coach.name];
+    let generations = 0;
+    while (frontier.length > 0) {
+        const next = [];
+        frontier.forEach(name => {
+            coaches[name].coordinatorsUnder.forEach(disciple => {
+                if (!reached.has(disciple)) {
+                    reached.add(disciple);
+                    next.push(disciple);
+                }
+            });
+        });
+        if (next.length > 0) generations++;
+        frontier = next;
+    }
+    reached.delete(coach.name);
+    
+    const totals = {
+        direct: [...coach.coordinatorsUnder].filter(name => name !== coach.name).length,
+        disciples: reached.size,
+        generations,
+        headCoaches: 0,
+        wins: 0,
+        losses: 0,
+        ties: 0,
+        seasons: 0
+    };
+    reached.forEach(name => {
+        const career = careerStats.get(name);
+        if (!career) return;
+        totals.headCoaches += 1;
+        totals.wins += career.wins;
+        totals.losses += career.losses;
+        totals.ties += career.ties;
+        totals.seasons += career.seasons;
+    });
+    
+    return { ...totals, pct: winPercentage(totals) };
+}
+
+/**
+ * Rank coaches with disciples by one tree metric, best first. Trees without
+ * head coaches have no win % and go last; ties are broken by name.
+ * @param {Map} metrics - Coach name to metrics from computeTreeMetrics
+ * @param {string} metric - Key of TREE_METRIC_LABELS
+ * @returns {Array} - Entries of the form { name, metrics }
+ */
+function rankTreeMetrics(metrics, metric) {
+    const entries = [];
+    metrics.forEach((coachMetrics, name) => {
+        if (coachMetrics.disciples > 0) entries.push({ name, metrics: coachMetrics });
+    });
+    
+    const value = entry => entry.metrics[metric] === null ? -Infinity : entry.metrics[metric];
+    return entries.sort((a, b) => {
+        if (value(a) === value(b)) return a.name.localeCompare(b.name);
+        return value(b) > value(a) ? 1 : -1;
+    });
+}
+
+/**
+ * Find when each coach first became a head coach after working on someone
+ * else's staff, and whose staff that was
+ * @param {Object} coaches - Coach lookup with season-ordered roles
+ * @param {Array} connections - Season-level head coach/coordinator connections
+ * @returns {Array} - Promotions of the form { coach, season, team, mentor, role,
+ *     mentorTeam, lastSeason }, oldest first; team is the team that hired them
+ *     and role the most senior role they held in their last season under mentor
+ */
+function detectPromotions(coaches, connections) {
+    const servedUnder = new Map();
+    connections.forEach(conn => {
+        if (conn.head === conn.coordinator) return;
+        if (!servedUnder.has(conn.coordinator)) servedUnder.set(conn.coordinator, []);
+        servedUnder.get(conn.coordinator).push(conn);
+    });
+    
+    const promotions = [];
+    Object.values(coaches).forEach(coach => {
+        const headRoles = coach.roles
+            .filter(role => role.role === 'Head Coach')
+            .sort((a, b) => a.season - b.season || a.team.localeCompare(b.team));
+        if (headRoles.length === 0) return;
+        
+        const hired = headRoles[0];
+        const before = (servedUnder.get(coach.name) || []).filter(conn => conn.season < hired.season);
+        if (before.length === 0) return;
+        
+        const lastSeason = Math.max(...before.map(conn => conn.season));
+        const last = before
+            .filter(conn => conn.season === lastSeason)
+            .sort((a, b) => roleInfo(b.role).seniority - roleInfo(a.role).seniority)[0];
+        
+        promotions.push({
+            coach: coach.name,
+            season: hired.season,
+            team: hired.team,
+            mentor: last.head,
+            role: last.role || '',
+            mentorTeam: last.team,
+            lastSeason
+        });
+    });
+    
+    return promotions.sort((a, b) => a.season - b.season || a.coach.localeCompare(b.coach));
+}
@@ -2085,6 +2085,159 @@ const sampleData = `Season,Head_Coach,Coach,role,team,Win,Loss,Tie
 1970,Weeb Ewbank,Walt Michaels,aDC,NYJ,4.0,10.0,0.0
 1971,Weeb Ewbank,Walt Michaels,aDC,NYJ,6.0,8.0,0.0`;
 
+// Accepted header spellings for each required field. Headers are compared
+// case-insensitively with spaces, underscores and punctuation ignored.
+const COLUMN_ALIASES = {
+    Season: ['season', 'year', 'yr'],
+    head_coach: ['headcoach', 'hc', 'head'],
+    coordinator: ['coordinator', 'coach', 'assistant', 'assistantcoach', 'staff'],
+    role: ['role', 'position', 'pos', 'title'],
+    team: ['team', 'tm', 'club', 'franchise'],
+    wins: ['wins', 'win', 'w'],
+    losses: ['losses', 'loss', 'l'],
+    ties: ['ties', 'tie', 't']
+};
+
+// Identifier and version written to exported graph files (see README)
+const GRAPH_FORMAT = 'nfl-coaching-tree-graph';
+const GRAPH_FORMAT_VERSION = 2;
+
+// Zoom limits for the tree viewport
+const ZOOM_LIMITS = { min: 0.05, max: 4 };
+
+// How long coaches take to move to a new layout, in milliseconds
+const LAYOUT_ANIMATION_DURATION = 600;
+
+// Time given to ordering the layout before the page gets a chance to respond,
+// in milliseconds; large trees keep improving in the background
+const LAYOUT_TIME_SLICE = 30;
+
+// Time given to measuring coaching trees before the page gets a chance to
+// respond, in milliseconds
+const TREE_METRICS_TIME_SLICE = 30;
+
+// Dataset name of the bundled sample, which is never saved
+const SAMPLE_DATASET_NAME = 'Sample data';
+
+/**
+ * Promise-based wrapper around the IndexedDB database that keeps saved
+ * datasets and the last view state between page loads
+ */
+class DatasetStore {
+    /**
+     * @param {string} [dbName='nfl-coaching-tree'] - IndexedDB database name
+     */
+    constructor(dbName = 'nfl-coaching-tree') {
+        this.dbName = dbName;
+        this.dbPromise = null;
+    }
+    
+    /**
+     * Open (and on first use create) the database
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+                
+                const request = window.indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    db.createObjectStore('datasets', { keyPath: 'name' });
+                    db.createObjectStore('viewState');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+    
+    /**
+     * Run a single request inside its own transaction
+     * @param {string} storeName - Object store to use
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the object store and returns an IDBRequest
+     * @returns {Promise<*>} - The request result once the transaction completes
+     */
+    run(storeName, mode, operation) {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        }));
+    }
+    
+    /**
+     * Save a dataset, replacing any dataset with the same name
+     * @param {string} name - Dataset name
+     * @param {Array} rows - Parsed data rows
+     * @param {Object|null} [graph=null] - Imported graph document, kept so its layout survives a reload
+     * @returns {Promise}
+     */
+    saveDataset(name, rows, graph = null) {
+        return this.run('datasets', 'readwrite', store => store.put({
+            name,
+            rows,
+            graph,
+            rowCount: rows.length,
+            savedAt: Date.now()
+        }));
+    }
+    
+    /**
+     * @param {string} name - Dataset name
+     * @returns {Promise<Object|undefined>} - { name, rows, graph, rowCount, savedAt }
+     */
+    getDataset(name) {
+        return this.run('datasets', 'readonly', store => store.get(name));
+    }
+    
+    /**
+     * @returns {Promise<Array>} - Names of all saved datasets
+     */
+    datasetNames() {
+        return this.run('datasets', 'readonly', store => store.getAllKeys());
+    }
+    
+    /**
+     * @returns {Promise<Array>} - Saved datasets, most recently saved first
+     */
+    listDatasets() {
+        return this.run('datasets', 'readonly', store => store.getAll())
+            .then(datasets => datasets.sort((a, b) => b.savedAt - a.savedAt));
+    }
+    
+    /**
+     * @param {string} name - Dataset name
+     * @returns {Promise}
+     */
+    deleteDataset(name) {
+        return this.run('datasets', 'readwrite', store => store.delete(name));
+    }
+    
+    /**
+     * @param {Object} state - View state from CoachingTreeVisualization.getViewState
+     * @returns {Promise}
+     */
+    saveViewState(state) {
+        return this.run('viewState', 'readwrite', store => store.put(state, 'current'));
+    }
+    
+    /**
+     * @returns {Promise<Object|undefined>} - The last saved view state
+     */
+    getViewState() {
+        return this.run('viewState', 'readonly', store => store.get('current'));
+    }
+}
+
 class CoachingTreeVisualization {
     /**
      * Initialize the coaching tree visualization
@@ -2094,15 +2247,187 @@ class CoachingTreeVisualization {
         this.coachingData = [];
         this.coaches = {};
         this.connections = [];
+        this.tenures = [];
+        this.tenureIndex = new Map();
+        this.tenuresByPair = new Map();
         this.activeInfoCard = null;
         
+        // Head-coaching career totals from every loaded row, regardless of filters
+        this.careerStats = new Map();
+        
+        // Tree metrics for the coaches they were computed from, see getTreeMetrics
+        this.treeMetricsCache = null;
+        this.treeMetricsTimer = null;
+        
+        // Promotions to head coach for the coaches they were detected in, see getPromotions
+        this.promotionsCache = null;
+        
+        // What is currently highlighted, drawn by the renderer and exports
+        this.highlightedConnections = new Set();
+        this.highlightedCoaches = new Set();
+        this.nodeBadges = new Map();
+        
+        // Labels drawn on edges: { head, coordinator, text }
+        this.edgeAnnotations = [];
+        
+        // Rendering backend: 'auto', 'svg' or 'canvas'
+        this.rendererChoice = 'auto';
+        this.renderer = null;
+        this.hoverEdges = [];
+        
+        // Grid of hoverEdges for edgeAt, rebuilt when coaches move
+        this.edgeIndex = null;
+        
+        // Seasons included in the tree ({ from, to }), or null for every season
+        this.seasonRange = null;
+        this.layoutAnimationFrame = null;
+        
+        // Layouts still running in the background, each with its pending timer;
+        // the full graph's keeps running while a focused tree is shown
+        this.pendingLayouts = new Map();
+        
+        // Role codes left out of the tree by the role filter
+        this.hiddenRoles = new Set();
+        
+        // Franchise ids the tree is limited to; empty for every franchise
+        this.selectedFranchises = new Set();
+        
+        // Season-by-season playback through the selected range: { from, to, season, timer },
+        // timer is null while paused
+        this.playback = null;
+        
+        // Focused coaching tree view; the full graph is kept aside while it is shown
+        this.focus = null;
+        this.fullGraph = null;
+        
+        // Search index over coach names and team-seasons
+        this.searchIndex = [];
+        this.searchResults = [];
+        this.activeSearchResult = -1;
+        
+        // Zoom and pan: screen = tree * scale + (x, y)
+        this.transform = { scale: 1, x: 0, y: 0 };
+        this.infoCardAnchor = null;
+        
+        // Column mappings picked by the user, keyed by header row
+        this.columnMappings = {};
+        
+        // Rows dropped by the last parse, with line numbers and reasons
+        this.skippedRows = [];
+        
+        // Persistence and the view state it restores
+        this.store = new DatasetStore();
+        this.datasetName = null;
+        
+        // Graph document behind the loaded data when it came from importGraph
+        this.importedGraph = null;
+        
+        // Name and contents of the saved dataset on screen, see saveNewDataset
+        this.savedDataset = null;
+        this.selectedCoach = null;
+        this.highlight = null;
+        this.viewStateTimer = null;
+        this.lastPermalink = null;
+        
         // DOM elements
         this.treeElement = document.getElementById('coaching-tree');
+        this.zoomLabelElement = document.getElementById('zoom-level');
+        this.searchInput = document.getElementById('coach-search');
+        this.searchResultsElement = document.getElementById('search-results');
+        this.minimap = new Minimap(document.getElementById('minimap'), (x, y) => this.centerOnPoint(x, y));
+        this.leaderboard = new Leaderboard(document.getElementById('leaderboard'), (name) => this.jumpToCoach(name));
+        this.promotionTimeline = new PromotionTimeline(document.getElementById('promotion-timeline'), (promotion) => this.showPromotion(promotion));
+        this.columnMapperElement = document.getElementById('column-mapper');
+        this.messageElement = document.getElementById('message-bar');
+        this.validationElement = document.getElementById('validation-panel');
+        this.highlightPanelElement = document.getElementById('highlight-panel');
+        this.focusBarElement = document.getElementById('focus-bar');
+        this.pathFromInput = document.getElementById('path-from');
+        this.pathToInput = document.getElementById('path-to');
+        this.pathUndirectedInput = document.getElementById('path-undirected');
+        this.coachNamesList = document.getElementById('coach-names');
+        this.seasonFromInput = document.getElementById('season-from');
+        this.seasonToInput = document.getElementById('season-to');
+        this.seasonRangeLabel = document.getElementById('season-range-label');
+        this.playButton = document.getElementById('play-seasons');
+        this.playbackSpeedSelect = document.getElementById('playback-speed');
+        this.playbackYearElement = document.getElementById('playback-year');
+        this.roleFilterElement = document.getElementById('role-filter');
+        this.teamFilterElement = document.getElementById('team-filter');
+        this.edgeTooltipElement = document.getElementById('edge-tooltip');
+        this.fileProgressElement = document.getElementById('file-progress');
+        this.datasetNameInput = document.getElementById('dataset-name');
+        this.recentDatasetsSelect = document.getElementById('recent-datasets');
         
         // Bind event handlers
         document.getElementById('load-data').addEventListener('click', () => this.loadData());
         document.getElementById('reset-view').addEventListener('click', () => this.resetView());
         document.getElementById('load-sample').addEventListener('click', () => this.loadSampleData());
+        document.getElementById('export-json').addEventListener('click', () => this.exportGraph());
+        document.getElementById('export-svg').addEventListener('click', () => this.exportSVG());
+        document.getElementById('export-png').addEventListener('click', () => this.exportPNG());
+        document.getElementById('save-dataset').addEventListener('click', () => this.saveDataset());
+        document.getElementById('delete-dataset').addEventListener('click', () => this.deleteDataset());
+        this.recentDatasetsSelect.addEventListener('change', () => {
+            if (this.recentDatasetsSelect.value) this.loadDataset(this.recentDatasetsSelect.value);
+        });
+        
+        document.getElementById('copy-link').addEventListener('click', () => this.copyPermalink());
+        document.getElementById('toggle-leaderboard').addEventListener('click', () => this.toggleLeaderboard());
+        document.getElementById('toggle-promotions').addEventListener('click', () => this.togglePromotionTimeline());
+        document.getElementById('renderer-select').addEventListener('change', (e) => this.setRenderer(e.target.value));
+        
+        // Zoom and pan controls
+        document.getElementById('zoom-in').addEventListener('click', () => this.zoomBy(1.25));
+        document.getElementById('zoom-out').addEventListener('click', () => this.zoomBy(0.8));
+        document.getElementById('fit-all').addEventListener('click', () => this.fitAll());
+        document.getElementById('center-coach').addEventListener('click', () => {
+            if (this.selectedCoach) {
+                this.centerOnCoach(this.selectedCoach);
+            } else {
+                this.showAlert('Click a coach first', 'info');
+            }
+        });
+        this.setupPanZoom();
+        this.setupEdgeHover();
+        this.setupSearch();
+        this.setupSeasonFilter();
+        this.setupRoleFilter();
+        this.setupTeamFilter();
+        
+        // Connection path finder
+        document.getElementById('find-path').addEventListener('click', () => this.findPathFromInputs());
+        [this.pathFromInput, this.pathToInput].forEach(input => {
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.findPathFromInputs();
+            });
+        });
+        window.addEventListener('resize', () => this.minimap.update(this));
+        
+        // Follow permalinks pasted into the address bar
+        window.addEventListener('hashchange', () => this.applyPermalink());
+        ['file-input', 'graph-input'].forEach(id => {
+            document.getElementById(id).addEventListener('change', (e) => {
+                if (e.target.files.length > 0) this.loadFile(e.target.files[0]);
+                e.target.value = '';
+            });
+        });
+        
+        // Accept files dropped onto the tree
+        this.treeElement.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            this.treeElement.classList.add('drag-over');
+        });
+        this.treeElement.addEventListener('dragleave', (e) => {
+            if (!this.treeElement.contains(e.relatedTarget)) {
+                this.treeElement.classList.remove('drag-over');
+            }
+        });
+        this.treeElement.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.treeElement.classList.remove('drag-over');
+            if (e.dataTransfer.files.length > 0) this.loadFile(e.dataTransfer.files[0]);
+        });
         
         // Add keydown listener for Escape key to close info card
         document.addEventListener('keydown', (e) => {
@@ -2118,12 +2443,147 @@ class CoachingTreeVisualization {
         this.setupPortfolioLinks();
     }
     
+    /**
+     * Show the tenures behind an edge when the pointer rests on it
+     */
+    setupEdgeHover() {
+        let frameRequested = false;
+        let lastEvent = null;
+        
+        this.treeElement.addEventListener('mousemove', (e) => {
+            lastEvent = e;
+            if (frameRequested) return;
+            frameRequested = true;
+            requestAnimationFrame(() => {
+                frameRequested = false;
+                this.updateEdgeTooltip(lastEvent);
+            });
+        });
+        this.treeElement.addEventListener('mouseleave', () => this.hideEdgeTooltip());
+    }
+    
+    /**
+     * Show or hide the edge tooltip for a pointer position
+     * @param {MouseEvent} e - Latest mouse event over the tree
+     */
+    updateEdgeTooltip(e) {
+        // No tooltips while panning or over nodes and the info card
+        if (e.buttons !== 0 || e.target.closest('.coach-node, .info-card')) {
+            this.hideEdgeTooltip();
+            return;
+        }
+        
+        const rect = this.treeElement.getBoundingClientRect();
+        const { scale, x, y } = this.transform;
+        const treeX = (e.clientX - rect.left - x) / scale;
+        const treeY = (e.clientY - rect.top - y) / scale;
+        
+        const edge = this.edgeAt(treeX, treeY);
+        if (!edge) {
+            this.hideEdgeTooltip();
+            return;
+        }
+        
+        const tooltip = this.edgeTooltipElement;
+        tooltip.innerHTML = '';
+        
+        const heading = document.createElement('strong');
+        heading.textContent = `${edge.head.name} → ${edge.coordinator.name}`;
+        tooltip.appendChild(heading);
+        
+        const headRecord = (team, season) => {
+            const role = edge.head.roles.find(r => r.team === team && r.season === season && r.role === 'Head Coach');
+            return role ? role.record : '';
+        };
+        
+        (this.tenuresByPair.get(`${edge.head.name}\u0000${edge.coordinator.name}`) || [])
+            .slice()
+            .sort((a, b) => a.from - b.from)
+            .forEach(tenure => {
+                const line = document.createElement('div');
+                line.className = 'tenure';
+                const years = tenure.seasons.length === 1 ? '1 season' : `${tenure.seasons.length} seasons`;
+                line.textContent = `${tenure.role || 'Staff'}, ${tenure.team} ${this.formatSpan(tenure)} (${years})`;
+                tooltip.appendChild(line);
+                
+                const seasons = document.createElement('div');
+                seasons.className = 'tenure-seasons';
+                seasons.textContent = tenure.seasons
+                    .map(season => `${season} ${headRecord(tenure.team, season)}`.trim())
+                    .join(' · ');
+                tooltip.appendChild(seasons);
+            });
+        
+        const promotion = this.getPromotions()
+            .find(candidate => candidate.mentor === edge.head.name && candidate.coach === edge.coordinator.name);
+        if (promotion) {
+            const line = document.createElement('div');
+            line.className = 'promotion';
+            line.textContent = `Became head coach: ${teamFullName(promotion.team, promotion.season)}, ${promotion.season}`;
+            tooltip.appendChild(line);
+        }
+        
+        const wrapperRect = tooltip.parentElement.getBoundingClientRect();
+        tooltip.style.left = `${e.clientX - wrapperRect.left + 12}px`;
+        tooltip.style.top = `${e.clientY - wrapperRect.top + 12}px`;
+        tooltip.style.display = 'block';
+    }
+    
+    /**
+     * Hide the edge tooltip
+     */
+    hideEdgeTooltip() {
+        this.edgeTooltipElement.style.display = 'none';
+    }
+    
+    /**
+     * Find the drawn edge under a point, ignoring the parts hidden by nodes
+     * @param {number} x - Tree X coordinate
+     * @param {number} y - Tree Y coordinate
+     * @returns {Object|null} - Edge from drawableEdges
+     */
+    edgeAt(x, y) {
+        if (!this.edgeIndex) {
+            this.edgeIndex = new GridIndex(this.nodeRadius * 2);
+            this.hoverEdges.forEach(edge => {
+                this.edgeIndex.addSegment(edge, edge.head.x, edge.head.y, edge.coordinator.x, edge.coordinator.y);
+            });
+        }
+        
+        let best = null;
+        let bestDistance = Infinity;
+        
+        this.edgeIndex.near(x, y).forEach(edge => {
+            const { head, coordinator } = edge;
+            if (Math.hypot(x - head.x, y - head.y) <= this.nodeRadius ||
+                Math.hypot(x - coordinator.x, y - coordinator.y) <= this.nodeRadius) {
+                return;
+            }
+            
+            // Distance from the point to the edge segment
+            const dx = coordinator.x - head.x;
+            const dy = coordinator.y - head.y;
+            const lengthSquared = dx * dx + dy * dy;
+            const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((x - head.x) * dx + (y - head.y) * dy) / lengthSquared));
+            const distance = Math.hypot(x - (head.x + t * dx), y - (head.y + t * dy));
+            
+            // Half the drawn width, plus a few screen pixels of slack
+            const tolerance = edgeWidth(edge) / 2 + 4 / this.transform.scale;
+            if (distance <= tolerance && distance < bestDistance) {
+                best = edge;
+                bestDistance = distance;
+            }
+        });
+        
+        return best;
+    }
+    
     /**
      * Set up portfolio and GitHub links
      */
     setupPortfolioLinks() {
         const portfolioLink = document.getElementById('portfolio-link');
-        const githubLink = document.getElementById('https://github.com/Yush10');
+        const githubLink = document.getElementById('github-link');
         
         if (portfolioLink) {
             portfolioLink.href = "https://your-portfolio-url.com";
@@ -2140,151 +2600,1538 @@ class CoachingTreeVisualization {
      */
     loadSampleData() {
         document.getElementById('data-input').value = sampleData;
-        this.loadData();
+        this.loadData(SAMPLE_DATASET_NAME);
     }
     
     /**
      * Load and process data from input field
+     * @param {string} [datasetName='Pasted data'] - Name to save the dataset under
      */
-    loadData() {
+    loadData(datasetName = 'Pasted data') {
+        this.hideAlert();
         const csvData = document.getElementById('data-input').value;
         if (!csvData) {
             this.showAlert('Please paste CSV data first');
             return;
         }
         
-        // Parse CSV data
-        this.coachingData = this.parseCSV(csvData);
-        if (this.coachingData.length === 0) {
+        this.datasetName = datasetName;
+        this.importText(csvData, { delimiter: this.detectDelimiter(csvData) });
+    }
+    
+    /**
+     * Load a .csv, .tsv or .json file from disk
+     * @param {File} file - File chosen in the picker or dropped on the tree
+     */
+    loadFile(file) {
+        const extension = file.name.split('.').pop().toLowerCase();
+        if (!['csv', 'tsv', 'txt', 'json'].includes(extension)) {
+            this.showAlert(`Unsupported file type: ${file.name}. Use .csv, .tsv or .json`);
+            return;
+        }
+        
+        this.hideAlert();
+        const progress = this.fileProgressElement;
+        const progressBar = progress.querySelector('progress');
+        const progressLabel = progress.querySelector('span');
+        
+        progressBar.value = 0;
+        progressLabel.textContent = `Reading ${file.name}...`;
+        progress.style.display = 'block';
+        
+        const reader = new FileReader();
+        
+        reader.addEventListener('progress', (e) => {
+            if (e.lengthComputable) {
+                progressBar.value = Math.round((e.loaded / e.total) * 100);
+            }
+        });
+        
+        reader.addEventListener('error', () => {
+            progress.style.display = 'none';
+            this.showAlert(`Could not read ${file.name}`);
+        });
+        
+        reader.addEventListener('load', () => {
+            progressBar.value = 100;
+            progressLabel.textContent = `Processing ${file.name}...`;
+            
+            // Let the progress bar repaint before the synchronous parse
+            setTimeout(() => {
+                const text = reader.result;
+                this.datasetName = file.name;
+                if (extension === 'json') {
+                    this.importJSON(text);
+                } else {
+                    const delimiter = extension === 'tsv' ? '\t' : this.detectDelimiter(text);
+                    this.importText(text, { delimiter });
+                }
+                progress.style.display = 'none';
+            }, 0);
+        });
+        
+        reader.readAsText(file);
+    }
+    
+    /**
+     * Parse, validate and render a block of CSV or JSON text
+     * @param {string} text - Raw file or pasted contents
+     * @param {Object} [options] - Import options
+     * @param {string} [options.format='csv'] - 'csv' or 'json'
+     * @param {string} [options.delimiter=','] - Field delimiter for CSV text
+     * @param {Object} [options.columnMapping] - Explicit field-to-column-index mapping
+     */
+    importText(text, options = {}) {
+        const { format = 'csv', delimiter = ',', columnMapping } = options;
+        
+        const data = format === 'json'
+            ? this.parseJSONRows(text, columnMapping)
+            : this.parseCSV(text, columnMapping, delimiter);
+        if (!data) {
+            // The parser reported the problem or opened the column mapper
+            return;
+        }
+        
+        // Validate rows; errors keep a row out of the tree, warnings do not
+        const { validRows, issues } = this.validateRows(data);
+        const hasErrors = issues.some(issue => issue.severity === 'error');
+        
+        if (hasErrors) {
+            this.showValidationReport(issues, validRows);
+            return;
+        }
+        
+        if (issues.length > 0) {
+            this.showValidationReport(issues);
+        } else {
+            this.hideValidationReport();
+        }
+        
+        this.loadRows(validRows);
+    }
+    
+    /**
+     * Build and render the tree from parsed rows
+     * @param {Array} rows - Parsed and validated data rows
+     * @param {boolean} [save=true] - Save the rows as a new dataset; false when
+     *     they were just read from storage
+     */
+    loadRows(rows, save = true) {
+        if (rows.length === 0) {
             this.showAlert('No valid data found');
             return;
         }
         
+        this.resetView();
+        this.clearFocus();
+        this.stopPlayback();
+        this.coachingData = rows;
+        this.importedGraph = null;
+        this.careerStats = computeCareerStats(rows);
+        this.seasonRange = null;
+        if (save) this.saveNewDataset();
+        
         // Process coaching data
         this.processCoachingData();
+        this.updateSeasonSlider();
         
         // Calculate positions
         this.calculatePositions();
         
         // Render the visualization
         this.renderVisualization();
+        this.fitAll();
     }
     
     /**
-     * Show alert message to the user
+     * Show a message to the user in the message bar
      * @param {string} message - The message to display
+     * @param {string} [severity='error'] - 'error', 'warning' or 'info'
      */
-    showAlert(message) {
-        alert(message);
+    showAlert(message, severity = 'error') {
+        const messageBar = this.messageElement;
+        messageBar.innerHTML = '';
+        messageBar.className = `message-bar ${severity}`;
+        
+        const text = document.createElement('span');
+        text.textContent = message;
+        messageBar.appendChild(text);
+        
+        const closeBtn = document.createElement('span');
+        closeBtn.className = 'close-btn';
+        closeBtn.textContent = '×';
+        closeBtn.addEventListener('click', () => this.hideAlert());
+        messageBar.appendChild(closeBtn);
+        
+        messageBar.style.display = 'block';
     }
     
     /**
-     * Parse CSV text into structured data
-     * @param {string} csvText - Raw CSV text
-     * @returns {Array} - Array of objects representing data rows
+     * Hide the message bar
      */
-    parseCSV(csvText) {
-        const lines = csvText.trim().split('\n');
-        const headers = lines[0].split(',');
-        
-        // Check if we have the required headers
-        const requiredHeaders = ['Season', 'head_coach', 'coordinator', 'role', 'team', 'wins', 'losses', 'ties'];
-        const missingHeaders = requiredHeaders.filter(h => !headers.includes(h));
-        
-        if (missingHeaders.length > 0) {
-            this.showAlert(`Missing required headers: ${missingHeaders.join(', ')}`);
-            return [];
-        }
-        
-        const data = [];
-        for (let i = 1; i < lines.length; i++) {
-            const values = lines[i].split(',');
-            if (values.length === headers.length) {
-                const row = {};
-                headers.forEach((header, index) => {
-                    row[header] = values[index];
-                });
-                data.push(row);
-            }
-        }
-        
-        return data;
+    hideAlert() {
+        this.messageElement.style.display = 'none';
     }
     
     /**
-     * Process coaching data to build relationships
+     * Check parsed rows for problems
+     * @param {Array} rows - Rows returned by parseCSV
+     * @returns {Object} - { validRows, issues } where each issue has line,
+     *     severity ('error' or 'warning'), field and message
      */
-    processCoachingData() {
-        this.coaches = {};
-        this.connections = [];
+    validateRows(rows) {
+        const issues = this.skippedRows.map(skipped => ({
+            line: skipped.line,
+            severity: 'error',
+            field: 'row',
+            message: `Could not parse row: ${skipped.reason}`
+        }));
+        const validRows = [];
         
-        // First pass: Collect all coaches and their roles
-        this.coachingData.forEach(row => {
-            const season = parseInt(row.Season);
+        rows.forEach(row => {
+            const rowIssues = [];
+            const addIssue = (severity, field, message) => {
+                rowIssues.push({ line: row.line, severity, field, message });
+            };
             
-            // Add head coach
-            if (!this.coaches[row.head_coach]) {
-                this.coaches[row.head_coach] = {
-                    name: row.head_coach,
-                    roles: [],
-                    coordinatorsUnder: new Set(),
-                    headCoachesOver: new Set(),
-                    level: 0  // Level will be calculated later
-                };
+            if (!/^\d{4}$/.test(row.Season)) {
+                addIssue('error', 'Season', `Season "${row.Season}" is not a four-digit year`);
             }
             
-            // Add head coach role if not already present for this season/team
-            const existingHeadCoachRole = this.coaches[row.head_coach].roles.find(r => 
-                r.season === season && r.team === row.team && r.role === 'Head Coach'
-            );
+            if (!row.head_coach) {
+                addIssue('error', 'head_coach', 'Head coach name is empty');
+            }
             
-            if (!existingHeadCoachRole) {
-                this.coaches[row.head_coach].roles.push({
-                    season: season,
-                    team: row.team,
-                    role: 'Head Coach',
-                    record: `${row.wins}-${row.losses}-${row.ties}`
-                });
+            if (!row.coordinator) {
+                addIssue('error', 'coordinator', 'Coordinator name is empty');
             }
             
-            // Add coordinator
-            if (!this.coaches[row.coordinator]) {
-                this.coaches[row.coordinator] = {
-                    name: row.coordinator,
-                    roles: [],
-                    coordinatorsUnder: new Set(),
-                    headCoachesOver: new Set(),
-                    level: 0
-                };
+            if (row.head_coach && row.head_coach === row.coordinator) {
+                addIssue('error', 'coordinator', `${row.head_coach} is listed as their own coordinator`);
             }
             
-            // Add coordinator role
-            this.coaches[row.coordinator].roles.push({
-                season: season,
-                team: row.team,
-                role: row.role,
-                record: `${row.wins}-${row.losses}-${row.ties}`
-            });
+            if (!ROLE_TAXONOMY[row.role]) {
+                addIssue('warning', 'role', `Unknown role code "${row.role}"`);
+            }
             
-            // Create connections between head coach and coordinator
-            this.coaches[row.head_coach].coordinatorsUnder.add(row.coordinator);
-            this.coaches[row.coordinator].headCoachesOver.add(row.head_coach);
+            if (!row.team) {
+                addIssue('warning', 'team', 'Team is empty');
+            } else if (!franchiseFor(row.team, parseInt(row.Season))) {
+                addIssue('warning', 'team', `Team code "${row.team}" is not a known franchise in ${row.Season}`);
+            }
             
-            // Store connection with specific team and season
-            this.connections.push({
-                head: row.head_coach,
-                coordinator: row.coordinator,
-                season: season,
-                team: row.team
-            });
+            // A missing record leaves the row out of career stats; a broken one rejects it
+            const recordFields = ['wins', 'losses', 'ties'];
+            if (recordFields.every(field => row[field] === '')) {
+                addIssue('warning', 'record', 'Win-loss record is missing');
+            } else {
+                recordFields.forEach(field => {
+                    if (!/^\d+(\.\d+)?$/.test(row[field])) {
+                        addIssue('error', field, `${field} "${row[field]}" is not a number`);
+                    }
+                });
+            }
+            
+            if (!rowIssues.some(issue => issue.severity === 'error')) {
+                validRows.push(row);
+            }
+            issues.push(...rowIssues);
         });
         
-        // Calculate levels for positioning (how deep in the hierarchy)
-        this.calculateLevels();
+        issues.sort((a, b) => a.line - b.line);
+        
+        return { validRows, issues };
     }
     
     /**
-     * Calculate hierarchical levels for coaches
+     * Show the validation report panel
+     * @param {Array} issues - Issues returned by validateRows
+     * @param {Array} [validRows] - When given, offer to load these rows despite errors
+     */
+    showValidationReport(issues, validRows) {
+        const panel = this.validationElement;
+        panel.innerHTML = '';
+        
+        const errorCount = issues.filter(issue => issue.severity === 'error').length;
+        const warningCount = issues.length - errorCount;
+        const rejectedLines = new Set(issues
+            .filter(issue => issue.severity === 'error')
+            .map(issue => issue.line));
+        
+        const heading = document.createElement('h3');
+        heading.textContent = `Validation: ${errorCount} error(s), ${warningCount} warning(s)`;
+        panel.appendChild(heading);
+        
+        const summary = document.createElement('p');
+        summary.textContent = rejectedLines.size > 0
+            ? `${rejectedLines.size} row(s) rejected.`
+            : 'All rows loaded.';
+        panel.appendChild(summary);
+        
+        // Issue table
+        const list = document.createElement('div');
+        list.className = 'validation-list';
+        
+        const table = document.createElement('table');
+        const headerRow = table.insertRow();
+        ['Line', 'Severity', 'Field', 'Problem'].forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            headerRow.appendChild(th);
+        });
+        
+        issues.forEach(issue => {
+            const tr = table.insertRow();
+            tr.className = issue.severity;
+            [issue.line, issue.severity, issue.field, issue.message].forEach(value => {
+                tr.insertCell().textContent = value;
+            });
+        });
+        
+        list.appendChild(table);
+        panel.appendChild(list);
+        
+        // Offer to continue with the rows that passed
+        if (validRows) {
+            const loadBtn = document.createElement('button');
+            loadBtn.textContent = `Load ${validRows.length} Valid Row(s)`;
+            loadBtn.disabled = validRows.length === 0;
+            loadBtn.addEventListener('click', () => {
+                this.hideValidationReport();
+                this.loadRows(validRows);
+            });
+            panel.appendChild(loadBtn);
+        }
+        
+        const closeBtn = document.createElement('button');
+        closeBtn.textContent = validRows ? 'Cancel' : 'Dismiss';
+        closeBtn.className = 'cancel';
+        closeBtn.addEventListener('click', () => this.hideValidationReport());
+        panel.appendChild(closeBtn);
+        
+        panel.style.display = 'block';
+    }
+    
+    /**
+     * Hide the validation report panel
+     */
+    hideValidationReport() {
+        this.validationElement.style.display = 'none';
+        this.validationElement.innerHTML = '';
+    }
+    
+    /**
+     * Download the tree as an SVG file
+     */
+    exportSVG() {
+        if (Object.keys(this.coaches).length === 0) {
+            this.showAlert('Load data before exporting');
+            return;
+        }
+        
+        this.downloadFile(SvgRenderer.markup(this, true), 'coaching-tree.svg', 'image/svg+xml');
+    }
+    
+    /**
+     * Download the tree as a PNG file at the scale chosen in the export menu
+     */
+    exportPNG() {
+        if (Object.keys(this.coaches).length === 0) {
+            this.showAlert('Load data before exporting');
+            return;
+        }
+        
+        // Browsers refuse to draw canvases much larger than this on either side
+        const maxCanvasSide = 16384;
+        const requestedScale = parseFloat(document.getElementById('export-scale').value) || 1;
+        const scale = Math.min(
+            requestedScale,
+            maxCanvasSide / this.treeWidth,
+            maxCanvasSide / this.treeHeight
+        );
+        
+        const svgUrl = URL.createObjectURL(new Blob([SvgRenderer.markup(this, true)], { type: 'image/svg+xml' }));
+        const image = new Image();
+        
+        image.addEventListener('load', () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(this.treeWidth * scale);
+            canvas.height = Math.round(this.treeHeight * scale);
+            
+            const context = canvas.getContext('2d');
+            context.scale(scale, scale);
+            context.drawImage(image, 0, 0, this.treeWidth, this.treeHeight);
+            URL.revokeObjectURL(svgUrl);
+            
+            canvas.toBlob(blob => {
+                if (!blob) {
+                    this.showAlert('Could not create the PNG image');
+                    return;
+                }
+                this.downloadFile(blob, 'coaching-tree.png', 'image/png');
+                
+                if (scale < requestedScale) {
+                    this.showAlert(`The tree is too large for ${requestedScale}x; exported at ${scale.toFixed(2)}x instead`, 'warning');
+                }
+            }, 'image/png');
+        });
+        
+        image.addEventListener('error', () => {
+            URL.revokeObjectURL(svgUrl);
+            this.showAlert('Could not render the tree to PNG');
+        });
+        
+        image.src = svgUrl;
+    }
+    
+    /**
+     * Import a JSON file, which may be an exported graph or an array of rows
+     * @param {string} jsonText - Raw JSON text
+     */
+    importJSON(jsonText) {
+        let parsed;
+        try {
+            parsed = JSON.parse(jsonText);
+        } catch (err) {
+            this.showAlert(`Invalid JSON: ${err.message}`);
+            return;
+        }
+        
+        if (parsed && parsed.format === GRAPH_FORMAT) {
+            this.importGraph(parsed);
+        } else {
+            this.importText(jsonText, { format: 'json' });
+        }
+    }
+    
+    /**
+     * Serialize the processed graph, including levels and positions
+     * @returns {Object} - Graph document in the GRAPH_FORMAT layout
+     */
+    serializeGraph() {
+        return {
+            format: GRAPH_FORMAT,
+            version: GRAPH_FORMAT_VERSION,
+            exportedAt: new Date().toISOString(),
+            layout: {
+                width: this.treeWidth,
+                height: this.treeHeight,
+                nodeRadius: this.nodeRadius
+            },
+            coaches: Object.values(this.coaches).map(coach => ({
+                name: coach.name,
+                level: coach.level,
+                x: coach.x,
+                y: coach.y,
+                roles: coach.roles.map(role => ({ ...role })),
+                coordinatorsUnder: [...coach.coordinatorsUnder],
+                headCoachesOver: [...coach.headCoachesOver]
+            })),
+            connections: this.connections.map(conn => ({ ...conn }))
+        };
+    }
+    
+    /**
+     * Download the processed graph as a JSON file
+     */
+    exportGraph() {
+        if (Object.keys(this.coaches).length === 0) {
+            this.showAlert('Load data before exporting');
+            return;
+        }
+        
+        const json = JSON.stringify(this.serializeGraph(), null, 2);
+        this.downloadFile(json, 'coaching-tree.json', 'application/json');
+    }
+    
+    /**
+     * Restore a graph produced by serializeGraph without re-running the layout
+     * @param {Object} graph - Parsed graph document
+     * @param {boolean} [save=true] - Save the graph as a new dataset; false when
+     *     it was just read from storage
+     */
+    importGraph(graph, save = true) {
+        if (graph.version > GRAPH_FORMAT_VERSION) {
+            this.showAlert(`Graph file version ${graph.version} is newer than this page supports (${GRAPH_FORMAT_VERSION})`);
+            return;
+        }
+        
+        if (!Array.isArray(graph.coaches) || !Array.isArray(graph.connections) || !graph.layout) {
+            this.showAlert('Graph file is missing coaches, connections or layout');
+            return;
+        }
+        
+        const coaches = {};
+        graph.coaches.forEach(coach => {
+            coaches[coach.name] = {
+                name: coach.name,
+                roles: coach.roles || [],
+                coordinatorsUnder: new Set(coach.coordinatorsUnder || []),
+                headCoachesOver: new Set(coach.headCoachesOver || []),
+                level: coach.level || 0,
+                x: coach.x,
+                y: coach.y
+            };
+        });
+        
+        const unknown = graph.connections.find(conn => !coaches[conn.head] || !coaches[conn.coordinator]);
+        if (unknown) {
+            this.showAlert(`Graph file connects unknown coach: ${coaches[unknown.head] ? unknown.coordinator : unknown.head}`);
+            return;
+        }
+        
+        this.hideAlert();
+        this.hideValidationReport();
+        this.resetView();
+        this.clearFocus();
+        
+        this.coaches = coaches;
+        this.connections = graph.connections.map(conn => ({ ...conn }));
+        if (!graph.version || graph.version < 2) {
+            this.fillConnectionRoles();
+        }
+        this.coachingData = this.rowsFromGraph();
+        this.importedGraph = graph;
+        this.careerStats = computeCareerStats(this.coachingData);
+        this.buildTenures();
+        this.stopPlayback();
+        
+        // The file is drawn as exported, so no filters apply to it
+        this.seasonRange = null;
+        this.updateSeasonSlider();
+        this.hiddenRoles = new Set();
+        this.updateRoleFilter();
+        this.selectedFranchises = new Set();
+        this.updateTeamFilter();
+        if (save) {
+            this.datasetName = 'Imported graph';
+            this.saveNewDataset();
+        }
+        this.treeWidth = graph.layout.width;
+        this.treeHeight = graph.layout.height;
+        this.nodeRadius = graph.layout.nodeRadius || this.nodeRadius;
+        
+        this.renderVisualization();
+        this.fitAll();
+    }
+    
+    /**
+     * Give connections from version 1 graph files, which had no role, the
+     * coordinator's role on that team and season when there is only one
+     */
+    fillConnectionRoles() {
+        this.connections.forEach(conn => {
+            if (conn.role) return;
+            
+            const roles = this.coaches[conn.coordinator].roles.filter(r =>
+                r.season === conn.season && r.team === conn.team && r.role !== 'Head Coach'
+            );
+            conn.role = roles.length === 1 ? roles[0].role : '';
+        });
+    }
+    
+    /**
+     * Rebuild source rows from the current coaches and connections
+     * @returns {Array} - Rows in the same shape parseCSV produces
+     */
+    rowsFromGraph() {
+        return this.connections.map(conn => {
+            const role = this.coaches[conn.coordinator].roles.find(r =>
+                r.season === conn.season && r.team === conn.team && r.role !== 'Head Coach' &&
+                (!conn.role || r.role === conn.role)
+            ) || { role: conn.role || '', record: '--' };
+            const [wins, losses, ties] = role.record.split('-');
+            
+            return {
+                Season: String(conn.season),
+                head_coach: conn.head,
+                coordinator: conn.coordinator,
+                role: role.role,
+                team: conn.team,
+                wins,
+                losses,
+                ties
+            };
+        });
+    }
+    
+    /**
+     * Offer content to the user as a file download
+     * @param {string|Blob} content - File contents
+     * @param {string} filename - Suggested file name
+     * @param {string} type - MIME type
+     */
+    downloadFile(content, filename, type) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        // Give the browser a moment to start the download before revoking
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    
+    /**
+     * Reopen the dataset and view from the previous visit
+     * @returns {Promise<boolean>} - Whether a saved session was restored
+     */
+    restoreSession() {
+        return this.store.getViewState()
+            .then(state => {
+                if (!state || !state.datasetName) return {};
+                return this.store.getDataset(state.datasetName).then(dataset => ({ state, dataset }));
+            })
+            .catch(() => ({}))
+            .then(({ state, dataset }) => {
+                this.refreshRecentDatasets();
+                if (state && state.datasetName === SAMPLE_DATASET_NAME) {
+                    this.loadSampleData();
+                } else if (dataset) {
+                    this.openDataset(dataset);
+                } else {
+                    return false;
+                }
+                
+                this.applyViewState(state);
+                return true;
+            });
+    }
+    
+    /**
+     * Show a dataset read from storage, restoring imported graphs with their layout
+     * @param {Object} dataset - Dataset from DatasetStore.getDataset
+     */
+    openDataset(dataset) {
+        this.datasetName = dataset.name;
+        this.datasetNameInput.value = dataset.name;
+        if (dataset.graph) {
+            this.importGraph(dataset.graph, false);
+        } else {
+            this.loadRows(dataset.rows, false);
+        }
+        this.savedDataset = { name: dataset.name, content: JSON.stringify(dataset.graph || dataset.rows) };
+    }
+    
+    /**
+     * The loaded data as it is saved, for telling whether the same data was loaded again
+     * @returns {string}
+     */
+    datasetContent() {
+        return JSON.stringify(this.importedGraph || this.coachingData);
+    }
+    
+    /**
+     * Save just-loaded data under the current dataset name, numbering the name
+     * when a saved dataset already has it so nothing is overwritten. Loading
+     * the saved dataset on screen again, unchanged and under the same name,
+     * saves over it instead of adding a copy. The bundled sample is not
+     * saved; only the view state remembers it.
+     * @returns {Promise}
+     */
+    saveNewDataset() {
+        if (this.datasetName === SAMPLE_DATASET_NAME) {
+            this.savedDataset = null;
+            this.datasetNameInput.value = '';
+            this.scheduleViewStateSave();
+            return Promise.resolve();
+        }
+        if (!this.datasetName) return Promise.resolve();
+        
+        const saved = this.savedDataset;
+        if (saved && saved.name.replace(/ \(\d+\)$/, '') === this.datasetName && saved.content === this.datasetContent()) {
+            this.datasetName = saved.name;
+            return this.saveCurrentDataset();
+        }
+        
+        const baseName = this.datasetName;
+        const rows = this.coachingData;
+        return this.store.datasetNames()
+            .catch(() => [])
+            .then(names => {
+                // Other data was loaded in the meantime
+                if (this.coachingData !== rows) return;
+                
+                const taken = new Set(names);
+                let name = baseName;
+                for (let copy = 2; taken.has(name); copy++) {
+                    name = `${baseName} (${copy})`;
+                }
+                this.datasetName = name;
+                return this.saveCurrentDataset();
+            });
+    }
+    
+    /**
+     * Save the loaded rows under the current dataset name
+     * @returns {Promise}
+     */
+    saveCurrentDataset() {
+        if (!this.datasetName) return Promise.resolve();
+        
+        this.datasetNameInput.value = this.datasetName;
+        const saved = { name: this.datasetName, content: this.datasetContent() };
+        return this.store.saveDataset(this.datasetName, this.coachingData, this.importedGraph)
+            .then(() => {
+                this.savedDataset = saved;
+                return this.refreshRecentDatasets();
+            })
+            .then(() => {
+                this.updatePermalink();
+                return this.saveViewState();
+            })
+            .catch(err => this.showAlert(`Could not save dataset: ${err.message}`, 'warning'));
+    }
+    
+    /**
+     * Save the loaded rows under the name typed into the dataset name field
+     */
+    saveDataset() {
+        const name = this.datasetNameInput.value.trim();
+        if (!name) {
+            this.showAlert('Enter a name for the dataset');
+            return;
+        }
+        
+        if (this.coachingData.length === 0) {
+            this.showAlert('Load data before saving');
+            return;
+        }
+        
+        this.datasetName = name;
+        this.saveCurrentDataset().then(() => this.showAlert(`Saved dataset "${name}"`, 'info'));
+    }
+    
+    /**
+     * Load a saved dataset by name
+     * @param {string} name - Dataset name
+     */
+    loadDataset(name) {
+        this.store.getDataset(name)
+            .then(dataset => {
+                if (!dataset) {
+                    this.showAlert(`Dataset "${name}" was not found`);
+                    return;
+                }
+                
+                this.hideAlert();
+                this.hideValidationReport();
+                this.openDataset(dataset);
+            })
+            .catch(err => this.showAlert(`Could not load dataset: ${err.message}`));
+    }
+    
+    /**
+     * Delete the dataset selected in the recent datasets picker
+     */
+    deleteDataset() {
+        const name = this.recentDatasetsSelect.value || this.datasetName;
+        if (!name) {
+            this.showAlert('Select a dataset to delete');
+            return;
+        }
+        
+        this.store.deleteDataset(name)
+            .then(() => this.refreshRecentDatasets())
+            .then(() => this.showAlert(`Deleted dataset "${name}"`, 'info'))
+            .catch(err => this.showAlert(`Could not delete dataset: ${err.message}`));
+    }
+    
+    /**
+     * Repopulate the recent datasets picker
+     * @returns {Promise}
+     */
+    refreshRecentDatasets() {
+        return this.store.listDatasets().then(datasets => {
+            const select = this.recentDatasetsSelect;
+            select.innerHTML = '';
+            select.appendChild(new Option('Recent datasets...', ''));
+            
+            datasets.forEach(dataset => {
+                const savedAt = new Date(dataset.savedAt).toLocaleString();
+                select.appendChild(new Option(`${dataset.name} (${dataset.rowCount} rows, ${savedAt})`, dataset.name));
+            });
+        }).catch(() => {
+            // Leave the picker empty when storage is unavailable
+        });
+    }
+    
+    /**
+     * Capture what is currently on screen
+     * @returns {Object} - Serializable view state
+     */
+    getViewState() {
+        return {
+            datasetName: this.datasetName,
+            selectedCoach: this.selectedCoach,
+            highlight: this.highlight,
+            focus: this.focus,
+            seasons: this.seasonRange,
+            hiddenRoles: [...this.hiddenRoles],
+            franchises: [...this.selectedFranchises],
+            zoom: { ...this.transform }
+        };
+    }
+    
+    /**
+     * Reapply a view state captured by getViewState
+     * @param {Object} state - Saved view state
+     */
+    applyViewState(state) {
+        this.setSeasonRange(state.seasons || null, false);
+        this.setHiddenRoles(state.hiddenRoles || [], false);
+        this.setSelectedFranchises(state.franchises || [], false);
+        
+        if (state.focus) {
+            this.showCoachingTree(state.focus.coachName, state.focus.depth);
+        } else if (this.focus) {
+            this.exitCoachingTree();
+        }
+        
+        if (state.highlight && this.coaches[state.highlight.coachName]) {
+            this.restoreHighlight(state.highlight);
+        }
+        
+        if (state.zoom) {
+            this.setTransform(state.zoom.scale, state.zoom.x, state.zoom.y);
+        }
+        
+        if (state.center) {
+            this.centerOnPoint(state.center.x, state.center.y, state.center.scale);
+        }
+        
+        if (state.selectedCoach && this.coaches[state.selectedCoach]) {
+            this.openCoachInfo(state.selectedCoach);
+        }
+    }
+    
+    /**
+     * Save the view state after activity settles
+     */
+    scheduleViewStateSave() {
+        clearTimeout(this.viewStateTimer);
+        
+        // Playback saves the view once, when it pauses or stops
+        if (this.isPlaying()) return;
+        this.viewStateTimer = setTimeout(() => {
+            this.saveViewState();
+            this.updatePermalink();
+        }, 300);
+    }
+    
+    /**
+     * Save the view state now
+     * @returns {Promise}
+     */
+    saveViewState() {
+        clearTimeout(this.viewStateTimer);
+        return this.store.saveViewState(this.getViewState()).catch(() => {
+            // Persistence is best effort; the page works without it
+        });
+    }
+    
+    /**
+     * Encode the shareable part of a view state as a URL hash
+     * @param {Object} state - View state from getViewState
+     * @returns {string} - Hash including the leading '#', or '' for the default view
+     */
+    encodePermalink(state) {
+        const params = new URLSearchParams();
+        
+        if (state.selectedCoach) {
+            params.set('coach', state.selectedCoach);
+        }
+        
+        if (state.seasons) {
+            params.set('seasons', `${state.seasons.from}-${state.seasons.to}`);
+        }
+        
+        if (state.hiddenRoles && state.hiddenRoles.length > 0) {
+            params.set('hide', state.hiddenRoles.join(','));
+        }
+        
+        if (state.franchises && state.franchises.length > 0) {
+            params.set('teams', state.franchises.join(','));
+        }
+        
+        if (state.focus) {
+            params.set('tree', state.focus.coachName);
+            if (state.focus.depth) {
+                params.set('depth', state.focus.depth);
+            }
+        }
+        
+        if (state.highlight && state.highlight.mode === 'mentors') {
+            params.set('mentors', state.highlight.coachName);
+        } else if (state.highlight && state.highlight.mode === 'path') {
+            params.set('path', state.highlight.coachName);
+            params.set('to', state.highlight.target);
+            if (state.highlight.undirected) {
+                params.set('undirected', '1');
+            }
+        } else if (state.highlight) {
+            params.set('highlight', state.highlight.coachName);
+            params.set('team', state.highlight.team);
+            params.set('season', state.highlight.season);
+        }
+        
+        // Zoom is shared as a scale and the tree point at the middle of the view,
+        // since the recipient's window size differs; a fitted view is the default
+        if (state.zoom && !this.isFittedTransform(state.zoom)) {
+            const { scale, x, y } = state.zoom;
+            const centerX = (this.treeElement.clientWidth / 2 - x) / scale;
+            const centerY = (this.treeElement.clientHeight / 2 - y) / scale;
+            params.set('zoom', scale.toFixed(3));
+            params.set('at', `${Math.round(centerX)},${Math.round(centerY)}`);
+        }
+        
+        const query = params.toString();
+        return query ? `#${query}` : '';
+    }
+    
+    /**
+     * Decode a URL hash written by encodePermalink
+     * @param {string} hash - Hash with or without the leading '#'
+     * @returns {Object} - Partial view state
+     */
+    decodePermalink(hash) {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        const state = {};
+        
+        if (params.has('coach')) {
+            state.selectedCoach = params.get('coach');
+        }
+        
+        const seasons = (params.get('seasons') || '').match(/^(\d{4})-(\d{4})$/);
+        if (seasons) {
+            state.seasons = { from: parseInt(seasons[1]), to: parseInt(seasons[2]) };
+        }
+        
+        if (params.has('hide')) {
+            state.hiddenRoles = params.get('hide').split(',').filter(Boolean);
+        }
+        
+        if (params.has('teams')) {
+            state.franchises = params.get('teams').split(',').filter(Boolean);
+        }
+        
+        if (params.has('tree')) {
+            state.focus = {
+                coachName: params.get('tree'),
+                depth: parseInt(params.get('depth')) || null
+            };
+        }
+        
+        if (params.has('mentors')) {
+            state.highlight = { mode: 'mentors', coachName: params.get('mentors') };
+        } else if (params.has('path') && params.has('to')) {
+            state.highlight = {
+                mode: 'path',
+                coachName: params.get('path'),
+                target: params.get('to'),
+                undirected: params.get('undirected') === '1'
+            };
+        } else if (params.has('highlight') && params.has('team') && params.has('season')) {
+            state.highlight = {
+                mode: 'staff',
+                coachName: params.get('highlight'),
+                team: params.get('team'),
+                season: parseInt(params.get('season'))
+            };
+        }
+        
+        if (params.has('zoom')) {
+            const scale = parseFloat(params.get('zoom'));
+            const [x, y] = (params.get('at') || '').split(',').map(Number);
+            if (!isNaN(scale)) {
+                state.center = isNaN(x) || isNaN(y) ? { scale } : { scale, x, y };
+            }
+        }
+        
+        return state;
+    }
+    
+    /**
+     * Keep the address bar in sync with the current view without adding history entries
+     */
+    updatePermalink() {
+        const hash = this.encodePermalink(this.getViewState());
+        if (hash === window.location.hash) return;
+        
+        // Remembered so the resulting hashchange is not applied again
+        this.lastPermalink = hash;
+        try {
+            history.replaceState(null, '', `${window.location.pathname}${window.location.search}${hash}`);
+        } catch (err) {
+            // Some browsers refuse replaceState on file:// pages
+            window.location.replace(hash || '#');
+        }
+    }
+    
+    /**
+     * Apply the view described by the current URL hash, if any
+     */
+    applyPermalink() {
+        if (!window.location.hash || window.location.hash === '#') return;
+        if (window.location.hash === this.lastPermalink) return;
+        
+        this.stopPlayback();
+        const state = this.decodePermalink(window.location.hash);
+        const knownCoaches = this.fullGraph ? this.fullGraph.coaches : this.coaches;
+        const missing = [
+            state.selectedCoach,
+            state.highlight && state.highlight.coachName,
+            state.highlight && state.highlight.target,
+            state.focus && state.focus.coachName
+        ]
+            .filter(name => name && !knownCoaches[name]);
+        if (missing.length > 0) {
+            this.showAlert(`Not in the loaded dataset: ${[...new Set(missing)].join(', ')}`, 'warning');
+        }
+        
+        this.resetHighlights();
+        this.hideInfoCard();
+        
+        this.applyViewState(state);
+        
+        // Without a saved position, bring the linked coach on screen
+        if (state.selectedCoach && !(state.center && state.center.x !== undefined)) {
+            this.centerOnCoach(state.selectedCoach);
+        }
+    }
+    
+    /**
+     * Copy a link to the current view to the clipboard
+     */
+    copyPermalink() {
+        this.updatePermalink();
+        const url = window.location.href;
+        
+        if (!navigator.clipboard) {
+            this.showAlert(`Link to this view: ${url}`, 'info');
+            return;
+        }
+        
+        navigator.clipboard.writeText(url)
+            .then(() => this.showAlert('Link to this view copied to the clipboard', 'info'))
+            .catch(() => this.showAlert(`Link to this view: ${url}`, 'info'));
+    }
+    
+    /**
+     * Parse CSV text into structured data
+     * @param {string} csvText - Raw CSV text
+     * @param {Object} [columnMapping] - Explicit field-to-column-index mapping
+     * @param {string} [delimiter=','] - Field delimiter
+     * @returns {Array|null} - Array of objects representing data rows, or null
+     *     if the column mapper was opened to resolve missing headers
+     */
+    parseCSV(csvText, columnMapping, delimiter = ',') {
+        const records = this.tokenizeCSV(csvText, delimiter)
+            .filter(record => record.fields.some(value => value.trim() !== ''));
+        this.skippedRows = [];
+        
+        if (records.length === 0) {
+            return [];
+        }
+        
+        const headers = records[0].fields.map(h => h.trim());
+        
+        return this.mapRecords(headers, records.slice(1), columnMapping, chosen =>
+            this.importText(csvText, { delimiter, columnMapping: chosen })
+        );
+    }
+    
+    /**
+     * Parse a JSON array of row objects (or { rows: [...] }) into structured data
+     * @param {string} jsonText - Raw JSON text
+     * @param {Object} [columnMapping] - Explicit field-to-column-index mapping
+     * @returns {Array|null} - Array of objects representing data rows, or null
+     *     if the JSON was rejected or the column mapper was opened
+     */
+    parseJSONRows(jsonText, columnMapping) {
+        this.skippedRows = [];
+        
+        let parsed;
+        try {
+            parsed = JSON.parse(jsonText);
+        } catch (err) {
+            this.showAlert(`Invalid JSON: ${err.message}`);
+            return null;
+        }
+        
+        const items = Array.isArray(parsed) ? parsed : parsed && parsed.rows;
+        if (!Array.isArray(items)) {
+            this.showAlert('JSON must be an array of row objects');
+            return null;
+        }
+        
+        // Treat the union of object keys as the header row
+        const headers = [];
+        items.forEach(item => {
+            if (item && typeof item === 'object') {
+                Object.keys(item).forEach(key => {
+                    if (!headers.includes(key)) headers.push(key);
+                });
+            }
+        });
+        
+        // Item numbers stand in for line numbers in the validation report
+        const records = items.map((item, index) => {
+            if (!item || typeof item !== 'object' || Array.isArray(item)) {
+                return { fields: [], line: index + 1, error: 'item is not an object' };
+            }
+            return {
+                fields: headers.map(h => (item[h] === undefined || item[h] === null) ? '' : String(item[h])),
+                line: index + 1,
+                error: null
+            };
+        });
+        
+        return this.mapRecords(headers, records, columnMapping, chosen =>
+            this.importText(jsonText, { format: 'json', columnMapping: chosen })
+        );
+    }
+    
+    /**
+     * Turn tokenized records into row objects keyed by required field
+     * @param {Array} headers - Source column names
+     * @param {Array} records - Data records of the form { fields, line, error }
+     * @param {Object} [columnMapping] - Explicit field-to-column-index mapping
+     * @param {Function} onMapped - Called with the mapping chosen in the column mapper
+     * @returns {Array|null} - Row objects, or null if the column mapper was opened
+     */
+    mapRecords(headers, records, columnMapping, onMapped) {
+        // Resolve which column feeds each required field
+        const mapping = columnMapping ||
+            this.columnMappings[headers.join(',')] ||
+            this.resolveColumnMapping(headers);
+        
+        const missingFields = Object.keys(COLUMN_ALIASES).filter(field => mapping[field] === undefined);
+        if (missingFields.length > 0) {
+            this.showColumnMapper(headers, mapping, onMapped);
+            return null;
+        }
+        
+        // Remember explicit choices for the next paste with the same headers
+        if (columnMapping) {
+            this.columnMappings[headers.join(',')] = columnMapping;
+        }
+        
+        const data = [];
+        records.forEach(record => {
+            if (record.error) {
+                this.skippedRows.push({ line: record.line, reason: record.error });
+                return;
+            }
+            
+            if (record.fields.length !== headers.length) {
+                this.skippedRows.push({
+                    line: record.line,
+                    reason: `expected ${headers.length} fields but found ${record.fields.length}`
+                });
+                return;
+            }
+            
+            const row = { line: record.line };
+            Object.keys(mapping).forEach(field => {
+                row[field] = record.fields[mapping[field]].trim();
+            });
+            data.push(row);
+        });
+        
+        return data;
+    }
+    
+    /**
+     * Split CSV text into records following RFC 4180: quoted fields may contain
+     * delimiters, line breaks and doubled quotes. CRLF, CR and LF line endings
+     * are accepted and a leading UTF-8 byte order mark is ignored. Stray
+     * quotes and text after a closing quote are reported as record errors.
+     * @param {string} text - Raw CSV text
+     * @param {string} [delimiter=','] - Field delimiter
+     * @returns {Array} - Records of the form { fields, line, error }, where line
+     *     is the 1-based line number the record starts on
+     */
+    tokenizeCSV(text, delimiter = ',') {
+        const records = [];
+        let fields = [];
+        let field = '';
+        let inQuotes = false;
+        let afterQuote = false;
+        let error = null;
+        let line = 1;
+        let recordLine = 1;
+        let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+        
+        const endRecord = () => {
+            fields.push(field);
+            records.push({ fields, line: recordLine, error });
+            fields = [];
+            field = '';
+            error = null;
+        };
+        
+        while (i < text.length) {
+            const char = text[i];
+            
+            if (inQuotes) {
+                if (char === '"') {
+                    if (text[i + 1] === '"') {
+                        // Escaped quote
+                        field += '"';
+                        i += 2;
+                        continue;
+                    }
+                    inQuotes = false;
+                    afterQuote = true;
+                } else {
+                    if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) {
+                        line++;
+                    }
+                    field += char;
+                }
+                i++;
+                continue;
+            }
+            
+            if (afterQuote && char !== delimiter && char !== '\r' && char !== '\n') {
+                // Only whitespace may follow a closing quote; it is dropped
+                if (char.trim() !== '') {
+                    error = error || 'text after a closing quote';
+                    field += char;
+                }
+            } else if (char === '"') {
+                if (field.trim() === '') {
+                    // Opening quote; whitespace before it is dropped
+                    field = '';
+                    inQuotes = true;
+                } else {
+                    error = error || 'unexpected quote inside an unquoted field';
+                    field += char;
+                }
+            } else if (char === delimiter) {
+                fields.push(field);
+                field = '';
+                afterQuote = false;
+            } else if (char === '\r' || char === '\n') {
+                endRecord();
+                afterQuote = false;
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                line++;
+                recordLine = line;
+            } else {
+                field += char;
+            }
+            i++;
+        }
+        
+        if (inQuotes) {
+            error = 'unterminated quoted field';
+        }
+        
+        // Flush the last record unless the text ended with a line break
+        if (field !== '' || fields.length > 0 || inQuotes) {
+            endRecord();
+        }
+        
+        return records;
+    }
+    
+    /**
+     * Guess the field delimiter from the first non-blank line
+     * @param {string} text - Raw delimited text
+     * @returns {string} - ',', '\t', ';' or '|' (defaults to ',')
+     */
+    detectDelimiter(text) {
+        const firstLine = text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/).find(line => line.trim() !== '') || '';
+        
+        // Ignore anything inside quoted fields
+        const unquoted = firstLine.replace(/"(?:[^"]|"")*"/g, '');
+        
+        let best = ',';
+        let bestCount = 0;
+        [',', '\t', ';', '|'].forEach(candidate => {
+            const count = unquoted.split(candidate).length - 1;
+            if (count > bestCount) {
+                best = candidate;
+                bestCount = count;
+            }
+        });
+        
+        return best;
+    }
+    
+    /**
+     * Match source headers to required fields using COLUMN_ALIASES
+     * @param {Array} headers - Header names from the first CSV line
+     * @returns {Object} - Map of field name to column index (unresolved fields are omitted)
+     */
+    resolveColumnMapping(headers) {
+        const normalized = headers.map(h => h.toLowerCase().replace(/[^a-z0-9]/g, ''));
+        const mapping = {};
+        
+        Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+            const index = normalized.findIndex((header, i) =>
+                aliases.includes(header) && !Object.values(mapping).includes(i)
+            );
+            if (index !== -1) {
+                mapping[field] = index;
+            }
+        });
+        
+        return mapping;
+    }
+    
+    /**
+     * Show the interactive column mapping step for unresolved headers
+     * @param {Array} headers - Header names from the first CSV line
+     * @param {Object} mapping - Partial mapping used to preselect columns
+     * @param {Function} onMapped - Called with the completed mapping
+     */
+    showColumnMapper(headers, mapping, onMapped) {
+        const mapper = this.columnMapperElement;
+        mapper.innerHTML = '';
+        
+        const heading = document.createElement('h3');
+        heading.textContent = 'Map CSV columns';
+        mapper.appendChild(heading);
+        
+        const hint = document.createElement('p');
+        hint.textContent = 'Some headers were not recognized. Pick the source column for each field.';
+        mapper.appendChild(hint);
+        
+        // One dropdown per required field
+        const selects = {};
+        Object.keys(COLUMN_ALIASES).forEach(field => {
+            const row = document.createElement('label');
+            row.className = 'mapper-row';
+            if (mapping[field] === undefined) {
+                row.classList.add('unresolved');
+            }
+            
+            const fieldName = document.createElement('span');
+            fieldName.textContent = field;
+            row.appendChild(fieldName);
+            
+            const select = document.createElement('select');
+            select.appendChild(new Option('— select column —', ''));
+            headers.forEach((header, index) => {
+                select.appendChild(new Option(header, index));
+            });
+            select.value = mapping[field] !== undefined ? mapping[field] : '';
+            row.appendChild(select);
+            
+            selects[field] = select;
+            mapper.appendChild(row);
+        });
+        
+        const applyBtn = document.createElement('button');
+        applyBtn.textContent = 'Apply Mapping';
+        applyBtn.addEventListener('click', () => {
+            const chosen = {};
+            Object.entries(selects).forEach(([field, select]) => {
+                if (select.value !== '') {
+                    chosen[field] = parseInt(select.value);
+                }
+            });
+            
+            const unmapped = Object.keys(COLUMN_ALIASES).filter(field => chosen[field] === undefined);
+            if (unmapped.length > 0) {
+                this.showAlert(`Choose a column for: ${unmapped.join(', ')}`);
+                return;
+            }
+            
+            this.hideColumnMapper();
+            onMapped(chosen);
+        });
+        mapper.appendChild(applyBtn);
+        
+        const cancelBtn = document.createElement('button');
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.className = 'cancel';
+        cancelBtn.addEventListener('click', () => this.hideColumnMapper());
+        mapper.appendChild(cancelBtn);
+        
+        mapper.style.display = 'block';
+    }
+    
+    /**
+     * Hide the column mapping step
+     */
+    hideColumnMapper() {
+        this.columnMapperElement.style.display = 'none';
+        this.columnMapperElement.innerHTML = '';
+    }
+    
+    /**
+     * Process coaching data to build relationships
+     */
+    processCoachingData() {
+        this.coaches = {};
+        this.connections = [];
+        
+        // Only seasons inside the selected range, roles left in by the role
+        // filter and staffs of the selected franchises take part in the tree
+        const range = this.seasonRange;
+        const franchises = this.selectedFranchises;
+        const rows = this.coachingData.filter(row => {
+            if (this.hiddenRoles.has(row.role)) return false;
+            const season = parseInt(row.Season);
+            if (range && (season < range.from || season > range.to)) return false;
+            return franchises.size === 0 || franchises.has(franchiseFor(row.team, season));
+        });
+        
+        // First pass: Collect all coaches and their roles
+        rows.forEach(row => {
+            const season = parseInt(row.Season);
+            
+            // Add head coach
+            if (!this.coaches[row.head_coach]) {
+                this.coaches[row.head_coach] = {
+                    name: row.head_coach,
+                    roles: [],
+                    coordinatorsUnder: new Set(),
+                    headCoachesOver: new Set(),
+                    level: 0  // Level will be calculated later
+                };
+            }
+            
+            // Add head coach role if not already present for this season/team
+            const existingHeadCoachRole = this.coaches[row.head_coach].roles.find(r => 
+                r.season === season && r.team === row.team && r.role === 'Head Coach'
+            );
+            
+            if (!existingHeadCoachRole) {
+                this.coaches[row.head_coach].roles.push({
+                    season: season,
+                    team: row.team,
+                    role: 'Head Coach',
+                    record: `${row.wins}-${row.losses}-${row.ties}`
+                });
+            }
+            
+            // Add coordinator
+            if (!this.coaches[row.coordinator]) {
+                this.coaches[row.coordinator] = {
+                    name: row.coordinator,
+                    roles: [],
+                    coordinatorsUnder: new Set(),
+                    headCoachesOver: new Set(),
+                    level: 0
+                };
+            }
+            
+            // Add coordinator role
+            this.coaches[row.coordinator].roles.push({
+                season: season,
+                team: row.team,
+                role: row.role,
+                record: `${row.wins}-${row.losses}-${row.ties}`
+            });
+            
+            // Create connections between head coach and coordinator
+            this.coaches[row.head_coach].coordinatorsUnder.add(row.coordinator);
+            this.coaches[row.coordinator].headCoachesOver.add(row.head_coach);
+            
+            // Store connection with specific team, season and role
+            this.connections.push({
+                head: row.head_coach,
+                coordinator: row.coordinator,
+                season: season,
+                team: row.team,
+                role: row.role
+            });
+        });
+        
+        this.buildTenures();
+        
+        // Calculate levels for positioning (how deep in the hierarchy)
+        this.calculateLevels();
+    }
+    
+    /**
+     * Merge consecutive seasons of the same head coach, coordinator, team and
+     * role into tenures, e.g. aOC, PHI 1999–2012, indexed by season for
+     * tenureOf and by head coach and coordinator for the edge tooltip
+     */
+    buildTenures() {
+        const groups = new Map();
+        this.connections.forEach(conn => {
+            const key = [conn.head, conn.coordinator, conn.team, conn.role || ''].join('\u0000');
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(conn);
+        });
+        
+        this.tenures = [];
+        this.tenureIndex = new Map();
+        this.tenuresByPair = new Map();
+        groups.forEach(conns => {
+            conns.sort((a, b) => a.season - b.season);
+            
+            let tenure = null;
+            conns.forEach(conn => {
+                if (tenure && conn.season === tenure.to) return;
+                
+                if (tenure && conn.season === tenure.to + 1) {
+                    tenure.to = conn.season;
+                    tenure.seasons.push(conn.season);
+                    this.tenureIndex.set(this.tenureKey(conn), tenure);
+                } else {
+                    tenure = {
+                        head: conn.head,
+                        coordinator: conn.coordinator,
+                        team: conn.team,
+                        role: conn.role || '',
+                        from: conn.season,
+                        to: conn.season,
+                        seasons: [conn.season]
+                    };
+                    this.tenures.push(tenure);
+                    this.tenureIndex.set(this.tenureKey(conn), tenure);
+                    
+                    const pair = `${conn.head}\u0000${conn.coordinator}`;
+                    if (!this.tenuresByPair.has(pair)) this.tenuresByPair.set(pair, []);
+                    this.tenuresByPair.get(pair).push(tenure);
+                }
+            });
+        });
+    }
+    
+    /**
+     * Key of a connection's season in tenureIndex
+     * @param {Object} conn - Connection from this.connections
+     * @returns {string}
+     */
+    tenureKey(conn) {
+        return [conn.head, conn.coordinator, conn.team, conn.role || '', conn.season].join('\u0000');
+    }
+    
+    /**
+     * Find the tenure a season-level connection belongs to
+     * @param {Object} conn - Connection from this.connections
+     * @returns {Object|null}
+     */
+    tenureOf(conn) {
+        return this.tenureIndex.get(this.tenureKey(conn)) || null;
+    }
+    
+    /**
+     * Seasons of a tenure as text, e.g. 1999–2012
+     * @param {Object} tenure - Tenure from this.tenures
+     * @returns {string}
+     */
+    formatSpan(tenure) {
+        return tenure.from === tenure.to ? String(tenure.from) : `${tenure.from}–${tenure.to}`;
+    }
+    
+    /**
+     * Calculate hierarchical levels for coaches
      */
     calculateLevels() {
         // Find root coaches (those who were never coordinators or were head coaches first)
@@ -2293,326 +4140,2121 @@ class CoachingTreeVisualization {
             const wasCoordinator = coach.roles.some(r => r.role !== 'Head Coach');
             const wasHeadCoach = coach.roles.some(r => r.role === 'Head Coach');
             
-            if (!wasCoordinator) {
-                return wasHeadCoach; // Only root if they were actually a head coach
+            if (!wasCoordinator) {
+                return wasHeadCoach; // Only root if they were actually a head coach
+            }
+            
+            // Find earliest seasons as head coach and coordinator
+            const earliestHeadCoachSeason = wasHeadCoach ? 
+                Math.min(...coach.roles
+                    .filter(r => r.role === 'Head Coach')
+                    .map(r => r.season)) : Infinity;
+            
+            const earliestCoordinatorSeason = wasCoordinator ?
+                Math.min(...coach.roles
+                    .filter(r => r.role !== 'Head Coach')
+                    .map(r => r.season)) : Infinity;
+            
+            // Root coach if they were head coach first
+            return wasHeadCoach && earliestHeadCoachSeason <= earliestCoordinatorSeason;
+        });
+        
+        // Assign level 0 to root coaches
+        rootCoaches.forEach(coach => {
+            coach.level = 0;
+        });
+        
+        // Calculate levels for all other coaches through BFS
+        const queue = [...rootCoaches];
+        const visited = new Set(rootCoaches.map(c => c.name));
+        
+        while (queue.length > 0) {
+            const currentCoach = queue.shift();
+            
+            // Process all coordinators under this coach
+            currentCoach.coordinatorsUnder.forEach(coordinatorName => {
+                const coordinator = this.coaches[coordinatorName];
+                
+                // Set level to max of current level or head coach's level + 1
+                coordinator.level = Math.max(coordinator.level, currentCoach.level + 1);
+                
+                // Add to queue if not visited
+                if (!visited.has(coordinatorName)) {
+                    visited.add(coordinatorName);
+                    queue.push(coordinator);
+                }
+            });
+        }
+        
+        // Handle any remaining coaches (those without clear hierarchical connections)
+        Object.values(this.coaches).forEach(coach => {
+            if (!visited.has(coach.name)) {
+                const maxLevel = Object.values(this.coaches)
+                    .filter(c => visited.has(c.name))
+                    .reduce((max, c) => Math.max(max, c.level), 0);
+                    
+                coach.level = maxLevel + 1;
+                visited.add(coach.name);
+            }
+        });
+    }
+    
+    /**
+     * Calculate positions for coach nodes in the visualization: one row per
+     * level, ordered and spaced by a layered layout
+     */
+    calculatePositions() {
+        // Calculate total levels
+        const totalLevels = Math.max(
+            ...Object.values(this.coaches).map(c => c.level)
+        ) + 1;
+        
+        // Adjust tree height based on number of levels
+        this.treeHeight = Math.max(600, totalLevels * 200);
+        
+        Object.values(this.coaches).forEach(coach => {
+            coach.y = coach.level * (this.treeHeight / totalLevels) + 100;
+        });
+        
+        this.treeWidth = this.runLayout(new LayeredLayout(this.coaches));
+    }
+    
+    /**
+     * Lay out coaches with a layered layout. Work stops after a time slice so
+     * the page stays responsive; on large trees coaches are packed by row at
+     * first, the rest of the layout runs in the background and coaches then
+     * move to the result.
+     * @param {LayeredLayout} layout - Layout of the coaches being shown
+     * @returns {number} - Width of the tree
+     */
+    runLayout(layout) {
+        // Layouts of replaced coaches are dropped, but not the full graph's
+        this.pendingLayouts.forEach((timer, pending) => {
+            if (!this.fullGraph || pending.coaches !== this.fullGraph.coaches) {
+                clearTimeout(timer);
+                this.pendingLayouts.delete(pending);
+            }
+        });
+        
+        if (layout.workFor(LAYOUT_TIME_SLICE)) {
+            return this.placeCoaches(layout.coaches, layout.result);
+        }
+        this.pendingLayouts.set(layout, setTimeout(() => this.refineLayout(layout), 0));
+        return this.placeCoaches(layout.coaches, layout.packedPositions());
+    }
+    
+    /**
+     * Continue a layout one time slice at a time, then move its coaches to
+     * the result. The full graph's coaches are moved out of sight while a
+     * focused tree is shown, so it comes back laid out.
+     * @param {LayeredLayout} layout - Layout started by runLayout
+     */
+    refineLayout(layout) {
+        if (!layout.workFor(LAYOUT_TIME_SLICE)) {
+            this.pendingLayouts.set(layout, setTimeout(() => this.refineLayout(layout), 0));
+            return;
+        }
+        this.pendingLayouts.delete(layout);
+        
+        if (this.fullGraph && layout.coaches === this.fullGraph.coaches) {
+            this.fullGraph.treeWidth = this.placeCoaches(layout.coaches, layout.result);
+            return;
+        }
+        
+        // Coaches replaced since, e.g. by a loaded graph, need no update
+        if (layout.coaches !== this.coaches) return;
+        
+        const startPositions = new Map(Object.values(this.coaches).map(coach => [coach.name, { x: coach.x, y: coach.y }]));
+        const startSize = { width: this.treeWidth, height: this.treeHeight };
+        const fitted = this.isFittedTransform(this.transform);
+        this.treeWidth = this.placeCoaches(layout.coaches, layout.result);
+        
+        // Keep a fitted view fitted and an open info card with its coach
+        if (fitted) {
+            this.fitAll();
+        }
+        const selected = this.coaches[this.selectedCoach];
+        if (this.infoCardAnchor && selected) {
+            this.infoCardAnchor.x += selected.x - startPositions.get(selected.name).x;
+        }
+        
+        this.animateLayout(startPositions, startSize, false);
+    }
+    
+    /**
+     * Move coaches to laid out x positions
+     * @param {Object} coaches - Coach lookup the layout was made for
+     * @param {Object} positions - { x, width } from a LayeredLayout
+     * @returns {number} - Width of the tree
+     */
+    placeCoaches(coaches, positions) {
+        positions.x.forEach((position, name) => {
+            coaches[name].x = position;
+        });
+        return Math.max(1000, positions.width);
+    }
+    
+    /**
+     * Attach handlers to the season range slider. The tree is rebuilt when a
+     * handle is released; dragging only updates the label.
+     */
+    setupSeasonFilter() {
+        const keepOrdered = (moved) => {
+            const from = parseInt(this.seasonFromInput.value);
+            const to = parseInt(this.seasonToInput.value);
+            if (from > to) {
+                if (moved === this.seasonFromInput) {
+                    this.seasonToInput.value = from;
+                } else {
+                    this.seasonFromInput.value = to;
+                }
+            }
+            this.seasonRangeLabel.textContent = `${this.seasonFromInput.value}–${this.seasonToInput.value}`;
+        };
+        
+        [this.seasonFromInput, this.seasonToInput].forEach(input => {
+            input.addEventListener('input', () => keepOrdered(input));
+            input.addEventListener('change', () => {
+                this.stopPlayback();
+                this.setSeasonRange({
+                    from: parseInt(this.seasonFromInput.value),
+                    to: parseInt(this.seasonToInput.value)
+                });
+            });
+        });
+        
+        this.playButton.addEventListener('click', () => {
+            if (this.playback && this.playback.timer) {
+                this.pausePlayback();
+            } else {
+                this.startPlayback();
+            }
+        });
+    }
+    
+    /**
+     * First and last season in the loaded data
+     * @returns {Object|null} - { from, to }, or null without data
+     */
+    seasonBounds() {
+        const seasons = this.coachingData.map(row => parseInt(row.Season)).filter(season => !isNaN(season));
+        if (seasons.length === 0) return null;
+        
+        return {
+            from: seasons.reduce((min, season) => Math.min(min, season)),
+            to: seasons.reduce((max, season) => Math.max(max, season))
+        };
+    }
+    
+    /**
+     * Match the slider limits and handles to the loaded data and selected range
+     */
+    updateSeasonSlider() {
+        const bounds = this.seasonBounds();
+        const range = this.seasonRange || bounds;
+        
+        [this.seasonFromInput, this.seasonToInput].forEach(input => {
+            input.disabled = !bounds;
+            if (bounds) {
+                input.min = bounds.from;
+                input.max = bounds.to;
+            }
+        });
+        
+        if (range) {
+            this.seasonFromInput.value = range.from;
+            this.seasonToInput.value = range.to;
+            this.seasonRangeLabel.textContent = `${range.from}–${range.to}`;
+        } else {
+            this.seasonRangeLabel.textContent = '';
+        }
+    }
+    
+    /**
+     * Rebuild the tree from the seasons inside a range, moving coaches from
+     * their old positions to the new layout
+     * @param {Object|null} range - { from, to }, or null for every season
+     * @param {boolean} [animate=true] - Animate the change of layout
+     */
+    setSeasonRange(range, animate = true) {
+        const bounds = this.seasonBounds();
+        if (!bounds) return;
+        
+        // A range covering every season is the same as no range
+        if (range && range.from <= bounds.from && range.to >= bounds.to) {
+            range = null;
+        }
+        const current = this.seasonRange;
+        if (range === current || (range && current && range.from === current.from && range.to === current.to)) {
+            this.updateSeasonSlider();
+            return;
+        }
+        
+        this.seasonRange = range;
+        this.updateSeasonSlider();
+        this.rebuildTree(animate);
+    }
+    
+    /**
+     * Rebuild levels and positions after the rows taking part in the tree change
+     * @param {boolean} [animate=true] - Animate the change of layout
+     */
+    rebuildTree(animate = true) {
+        // Leave focused views and highlights, reapplying the highlight once rebuilt
+        const highlight = this.highlight;
+        if (this.fullGraph) {
+            this.coaches = this.fullGraph.coaches;
+            this.treeWidth = this.fullGraph.treeWidth;
+            this.treeHeight = this.fullGraph.treeHeight;
+            this.clearFocus();
+        }
+        this.resetView();
+        
+        const startPositions = new Map(Object.values(this.coaches).map(coach => [coach.name, { x: coach.x, y: coach.y }]));
+        const startSize = { width: this.treeWidth, height: this.treeHeight };
+        
+        this.processCoachingData();
+        this.calculatePositions();
+        
+        if (animate) {
+            this.animateLayout(startPositions, startSize);
+        } else {
+            this.renderVisualization();
+        }
+        
+        if (highlight && this.coaches[highlight.coachName]) {
+            this.restoreHighlight(highlight);
+        }
+        this.scheduleViewStateSave();
+    }
+    
+    /**
+     * Build the role filter checkboxes from the role taxonomy
+     */
+    setupRoleFilter() {
+        const heading = document.createElement('span');
+        heading.textContent = 'Roles';
+        this.roleFilterElement.appendChild(heading);
+        
+        Object.entries(ROLE_TAXONOMY).forEach(([code, info]) => {
+            if (code === 'Head Coach') return;
+            
+            const label = document.createElement('label');
+            label.title = `${info.label} (${info.side})`;
+            
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = code;
+            checkbox.checked = true;
+            checkbox.addEventListener('change', () => {
+                const hidden = [...this.roleFilterElement.querySelectorAll('input:not(:checked)')].map(input => input.value);
+                this.setHiddenRoles(hidden);
+            });
+            label.appendChild(checkbox);
+            
+            const swatch = document.createElement('span');
+            swatch.className = 'role-swatch';
+            swatch.style.backgroundColor = info.color;
+            label.appendChild(swatch);
+            
+            label.appendChild(document.createTextNode(code));
+            this.roleFilterElement.appendChild(label);
+        });
+        
+        // Presets
+        const allBtn = document.createElement('button');
+        allBtn.textContent = 'All roles';
+        allBtn.addEventListener('click', () => this.setHiddenRoles([]));
+        this.roleFilterElement.appendChild(allBtn);
+        
+        const coordinatorsBtn = document.createElement('button');
+        coordinatorsBtn.textContent = 'Coordinators only';
+        coordinatorsBtn.addEventListener('click', () => {
+            this.setHiddenRoles(Object.keys(ROLE_TAXONOMY).filter(code => ROLE_TAXONOMY[code].seniority < COORDINATOR_SENIORITY));
+        });
+        this.roleFilterElement.appendChild(coordinatorsBtn);
+    }
+    
+    /**
+     * Sync the role filter checkboxes with the hidden roles
+     */
+    updateRoleFilter() {
+        this.roleFilterElement.querySelectorAll('input').forEach(input => {
+            input.checked = !this.hiddenRoles.has(input.value);
+        });
+    }
+    
+    /**
+     * Leave role codes out of the tree and re-level what remains
+     * @param {Array} codes - Role codes to hide
+     * @param {boolean} [animate=true] - Animate the change of layout
+     */
+    setHiddenRoles(codes, animate = true) {
+        const hidden = new Set(codes.filter(code => ROLE_TAXONOMY[code] && code !== 'Head Coach'));
+        const unchanged = hidden.size === this.hiddenRoles.size && [...hidden].every(code => this.hiddenRoles.has(code));
+        
+        this.hiddenRoles = hidden;
+        this.updateRoleFilter();
+        if (unchanged) return;
+        
+        if (this.coachingData.length > 0) {
+            this.rebuildTree(animate);
+        }
+    }
+    
+    /**
+     * Build the team filter from the franchise registry, grouped by current division
+     */
+    setupTeamFilter() {
+        this.teamFilterSummary = document.createElement('summary');
+        this.teamFilterElement.appendChild(this.teamFilterSummary);
+        
+        const groups = {};
+        Object.keys(FRANCHISES).forEach(id => {
+            const division = franchiseAlignment(id, Infinity);
+            if (!groups[division]) groups[division] = [];
+            groups[division].push(id);
+        });
+        
+        const options = document.createElement('div');
+        options.className = 'team-filter-options';
+        
+        Object.keys(groups).sort().forEach(division => {
+            const group = document.createElement('div');
+            group.className = 'team-filter-group';
+            
+            const heading = document.createElement('strong');
+            heading.textContent = division;
+            group.appendChild(heading);
+            
+            groups[division]
+                .map(id => ({ id, name: teamFullName(Object.keys(FRANCHISES[id].codes)[0], Infinity) }))
+                .sort((a, b) => a.name.localeCompare(b.name))
+                .forEach(({ id, name }) => {
+                    const label = document.createElement('label');
+                    const checkbox = document.createElement('input');
+                    checkbox.type = 'checkbox';
+                    checkbox.value = id;
+                    checkbox.addEventListener('change', () => {
+                        const selected = [...options.querySelectorAll('input:checked')].map(input => input.value);
+                        this.setSelectedFranchises(selected);
+                    });
+                    label.appendChild(checkbox);
+                    label.appendChild(document.createTextNode(name));
+                    group.appendChild(label);
+                });
+            
+            options.appendChild(group);
+        });
+        
+        const allBtn = document.createElement('button');
+        allBtn.textContent = 'All teams';
+        allBtn.addEventListener('click', () => this.setSelectedFranchises([]));
+        options.appendChild(allBtn);
+        
+        this.teamFilterElement.appendChild(options);
+        this.updateTeamFilter();
+    }
+    
+    /**
+     * Sync the team filter checkboxes and summary with the selected franchises
+     */
+    updateTeamFilter() {
+        this.teamFilterElement.querySelectorAll('input').forEach(input => {
+            input.checked = this.selectedFranchises.has(input.value);
+        });
+        
+        const selected = [...this.selectedFranchises];
+        if (selected.length === 0) {
+            this.teamFilterSummary.textContent = 'Teams: All';
+        } else if (selected.length === 1) {
+            this.teamFilterSummary.textContent = `Teams: ${teamFullName(Object.keys(FRANCHISES[selected[0]].codes)[0], Infinity)}`;
+        } else {
+            this.teamFilterSummary.textContent = `Teams: ${selected.length} selected`;
+        }
+    }
+    
+    /**
+     * Limit the tree to staffs of the given franchises and re-level what remains
+     * @param {Array} ids - Franchise ids; empty for every franchise
+     * @param {boolean} [animate=true] - Animate the change of layout
+     */
+    setSelectedFranchises(ids, animate = true) {
+        const selected = new Set(ids.filter(id => FRANCHISES[id]));
+        const unchanged = selected.size === this.selectedFranchises.size &&
+            [...selected].every(id => this.selectedFranchises.has(id));
+        
+        this.selectedFranchises = selected;
+        this.updateTeamFilter();
+        
+        if (!unchanged && this.coachingData.length > 0) {
+            this.rebuildTree(animate);
+        }
+    }
+    
+    /**
+     * Grow the tree one season at a time through the selected range, or carry
+     * on from where a paused playback stopped
+     */
+    startPlayback() {
+        const bounds = this.seasonBounds();
+        if (!bounds) return;
+        
+        if (!this.playback) {
+            const { from, to } = this.seasonRange || bounds;
+            this.playback = { from, to, season: from - 1, timer: null };
+        }
+        
+        this.playButton.textContent = 'Pause';
+        this.advancePlayback();
+    }
+    
+    /**
+     * Add the next season's coaches and connections, then wait for the one after
+     */
+    advancePlayback() {
+        const season = this.playback.season + 1;
+        if (season > this.playback.to) {
+            this.stopPlayback();
+            return;
+        }
+        
+        // Waiting for the next season starts first, so the rebuild sees playback running
+        this.playback.season = season;
+        this.playback.timer = setTimeout(() => this.advancePlayback(), parseInt(this.playbackSpeedSelect.value));
+        this.setSeasonRange({ from: this.playback.from, to: season });
+        
+        this.playbackYearElement.textContent = season;
+        this.playbackYearElement.style.display = 'block';
+    }
+    
+    /**
+     * Whether playback is running, rather than paused or stopped
+     * @returns {boolean}
+     */
+    isPlaying() {
+        return Boolean(this.playback && this.playback.timer);
+    }
+    
+    /**
+     * Hold playback on the current season
+     */
+    pausePlayback() {
+        if (!this.playback) return;
+        
+        clearTimeout(this.playback.timer);
+        this.playback.timer = null;
+        this.playButton.textContent = 'Play';
+        
+        // Held back while playing
+        this.measureTreeMetrics();
+        this.scheduleViewStateSave();
+    }
+    
+    /**
+     * End playback, leaving the tree at the last season shown
+     */
+    stopPlayback() {
+        this.pausePlayback();
+        this.playback = null;
+        this.playbackYearElement.style.display = 'none';
+    }
+    
+    /**
+     * Render the tree and move coaches from earlier positions to their current
+     * ones. Coaches new to the tree grow out of a mentor who was already shown.
+     * @param {Map} startPositions - Coach name to { x, y } before the change
+     * @param {Object} startSize - { width, height } of the tree before the change
+     * @param {boolean} [render=true] - Render the tree first; false when the same
+     *     coaches are only moving
+     */
+    animateLayout(startPositions, startSize, render = true) {
+        const moves = Object.values(this.coaches).map(coach => {
+            const mentor = [...coach.headCoachesOver].find(name => startPositions.has(name));
+            const start = startPositions.get(coach.name) || startPositions.get(mentor) || coach;
+            return { coach, fromX: start.x, fromY: start.y, toX: coach.x, toY: coach.y };
+        });
+        const endSize = { width: this.treeWidth, height: this.treeHeight };
+        
+        // Room for both layouts while coaches are moving
+        this.treeWidth = Math.max(startSize.width, endSize.width);
+        this.treeHeight = Math.max(startSize.height, endSize.height);
+        
+        const place = (progress) => {
+            const eased = progress < 0.5 ? 2 * progress * progress : 1 - Math.pow(-2 * progress + 2, 2) / 2;
+            moves.forEach(move => {
+                move.coach.x = move.fromX + (move.toX - move.fromX) * eased;
+                move.coach.y = move.fromY + (move.toY - move.fromY) * eased;
+            });
+        };
+        
+        place(0);
+        if (render) {
+            this.renderVisualization();
+        } else {
+            cancelAnimationFrame(this.layoutAnimationFrame);
+            this.renderer.updatePositions(this);
+        }
+        
+        const startTime = performance.now();
+        const step = (now) => {
+            const progress = Math.min(1, (now - startTime) / LAYOUT_ANIMATION_DURATION);
+            place(progress);
+            
+            if (progress === 1) {
+                this.layoutAnimationFrame = null;
+                this.treeWidth = endSize.width;
+                this.treeHeight = endSize.height;
+            } else {
+                this.layoutAnimationFrame = requestAnimationFrame(step);
+            }
+            
+            this.renderer.updatePositions(this);
+            this.edgeIndex = null;
+            this.minimap.update(this);
+            this.positionInfoCard();
+        };
+        this.layoutAnimationFrame = requestAnimationFrame(step);
+    }
+    
+    /**
+     * Render the entire visualization
+     */
+    renderVisualization() {
+        // Clear existing visualization, stopping any layout still animating
+        cancelAnimationFrame(this.layoutAnimationFrame);
+        this.layoutAnimationFrame = null;
+        this.treeElement.innerHTML = '';
+        
+        // Pick a backend; canvas keeps very large trees responsive
+        const edgeCount = drawableEdges(this).length;
+        const backend = this.rendererChoice === 'auto'
+            ? (edgeCount > CANVAS_EDGE_THRESHOLD ? 'canvas' : 'svg')
+            : this.rendererChoice;
+        
+        if (this.renderer) {
+            this.renderer.destroy();
+        }
+        
+        const onCoachClick = (coach, clientX, clientY) => this.showCoachInfo(coach, clientX, clientY);
+        this.renderer = backend === 'canvas'
+            ? new CanvasRenderer(this.treeElement, onCoachClick)
+            : new SvgRenderer(this.treeElement, onCoachClick);
+        this.updateEdgeAnnotations();
+        this.renderer.render(this);
+        this.hoverEdges = drawableEdges(this);
+        this.edgeIndex = null;
+        this.minimap.update(this);
+        this.measureTreeMetrics();
+        this.leaderboard.update(this);
+        this.promotionTimeline.update(this);
+        this.updateZoomLabel();
+        this.buildSearchIndex();
+        this.updateCoachNameList();
+    }
+    
+    /**
+     * Attach autocomplete handlers to the coach search box
+     */
+    setupSearch() {
+        this.searchInput.addEventListener('input', () => {
+            this.showSearchResults(this.searchCoaches(this.searchInput.value));
+        });
+        
+        this.searchInput.addEventListener('keydown', (e) => {
+            const count = this.searchResults.length;
+            if (e.key === 'ArrowDown' && count > 0) {
+                e.preventDefault();
+                this.setActiveSearchResult((this.activeSearchResult + 1) % count);
+            } else if (e.key === 'ArrowUp' && count > 0) {
+                e.preventDefault();
+                this.setActiveSearchResult((this.activeSearchResult - 1 + count) % count);
+            } else if (e.key === 'Enter' && count > 0) {
+                e.preventDefault();
+                this.selectSearchResult(this.searchResults[Math.max(0, this.activeSearchResult)]);
+            } else if (e.key === 'Escape') {
+                this.hideSearchResults();
+            }
+        });
+        
+        // Close the list when focus moves elsewhere, after any click on it lands
+        this.searchInput.addEventListener('blur', () => {
+            setTimeout(() => this.hideSearchResults(), 150);
+        });
+    }
+    
+    /**
+     * Lowercase text and strip accents and punctuation for matching
+     * @param {string} text - Raw text
+     * @returns {string}
+     */
+    normalizeSearchText(text) {
+        return text
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9 ]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+    
+    /**
+     * Index coach names and the team-seasons each coach worked
+     */
+    buildSearchIndex() {
+        this.searchIndex = Object.values(this.coaches).map(coach => ({
+            coach,
+            name: this.normalizeSearchText(coach.name),
+            teamSeasons: new Set(coach.roles.map(r => `${r.team.toLowerCase()} ${r.season}`)),
+            teams: new Set(coach.roles.map(r => r.team.toLowerCase())),
+            seasons: new Set(coach.roles.map(r => r.season))
+        }));
+        this.teamCodes = new Set(this.searchIndex.flatMap(entry => [...entry.teams]));
+    }
+    
+    /**
+     * Score how well a name matches a query: prefix beats word start beats
+     * substring beats letters in order
+     * @param {string} name - Normalized coach name
+     * @param {string} query - Normalized query
+     * @returns {number} - 0 for no match, higher is better
+     */
+    scoreNameMatch(name, query) {
+        if (!query) return 1;
+        if (name.startsWith(query)) return 4;
+        if (name.split(' ').some(word => word.startsWith(query))) return 3;
+        if (name.includes(query)) return 2;
+        
+        // Fuzzy: every query letter appears in order
+        let position = 0;
+        for (const char of query.replace(/ /g, '')) {
+            position = name.indexOf(char, position);
+            if (position === -1) return 0;
+            position++;
+        }
+        return 1;
+    }
+    
+    /**
+     * Find coaches matching a query. Four-digit seasons and team codes in the
+     * query (for example "PHI 2004") restrict results to that staff. A team
+     * code counts as a team only when typed in capitals or next to a season;
+     * otherwise it is also tried as part of a name, so "no" still finds Noll.
+     * @param {string} query - Text typed into the search box
+     * @returns {Array} - Up to 10 results of the form { coach, detail }
+     */
+    searchCoaches(query) {
+        const words = this.normalizeSearchText(query).split(' ').filter(Boolean);
+        if (words.length === 0) return [];
+        
+        const typedInCapitals = new Set(query.split(/\s+/)
+            .filter(word => /[A-Z]/.test(word) && word === word.toUpperCase())
+            .map(word => this.normalizeSearchText(word)));
+        
+        let team = null;
+        let season = null;
+        const nameWords = [];
+        words.forEach(word => {
+            if (/^\d{4}$/.test(word)) {
+                season = parseInt(word);
+            } else if (!team && this.teamCodes.has(word)) {
+                team = word;
+            } else {
+                nameWords.push(word);
+            }
+        });
+        
+        let results = this.matchCoaches(nameWords, team, season);
+        if (team && !season && !typedInCapitals.has(team)) {
+            // Maybe part of a name after all; keep each coach's best match
+            const asName = this.matchCoaches(words, null, null);
+            const byName = new Map(results.map(result => [result.coach.name, result]));
+            asName.forEach(result => {
+                const existing = byName.get(result.coach.name);
+                if (!existing || result.score > existing.score) byName.set(result.coach.name, result);
+            });
+            results = [...byName.values()];
+        }
+        
+        results.sort((a, b) => b.score - a.score || a.coach.name.localeCompare(b.coach.name));
+        return results.slice(0, 10);
+    }
+    
+    /**
+     * Score every indexed coach against name words, limited to a team and season
+     * @param {Array} nameWords - Normalized words to match against names
+     * @param {string|null} team - Lower-case team code, or null for any team
+     * @param {number|null} season - Season, or null for any season
+     * @returns {Array} - Unsorted results of the form { coach, detail, score }
+     */
+    matchCoaches(nameWords, team, season) {
+        const nameQuery = nameWords.join(' ');
+        
+        const results = [];
+        this.searchIndex.forEach(entry => {
+            if (team && season && !entry.teamSeasons.has(`${team} ${season}`)) return;
+            if (team && !season && !entry.teams.has(team)) return;
+            if (season && !team && !entry.seasons.has(season)) return;
+            
+            const score = this.scoreNameMatch(entry.name, nameQuery);
+            if (score === 0) return;
+            
+            // Describe the matching role when searching by team or season
+            let detail = '';
+            if (team || season) {
+                const role = entry.coach.roles.find(r =>
+                    (!team || r.team.toLowerCase() === team) && (!season || r.season === season)
+                );
+                detail = `${role.role}, ${role.team} ${role.season}`;
+            }
+            
+            results.push({ coach: entry.coach, detail, score });
+        });
+        
+        return results;
+    }
+    
+    /**
+     * Show the autocomplete list
+     * @param {Array} results - Results from searchCoaches
+     */
+    showSearchResults(results) {
+        this.searchResults = results;
+        this.activeSearchResult = -1;
+        
+        const list = this.searchResultsElement;
+        list.innerHTML = '';
+        
+        if (results.length === 0) {
+            list.style.display = this.searchInput.value.trim() ? 'block' : 'none';
+            if (this.searchInput.value.trim()) {
+                const empty = document.createElement('li');
+                empty.className = 'empty';
+                empty.textContent = 'No matching coaches';
+                list.appendChild(empty);
+            }
+            return;
+        }
+        
+        results.forEach((result, index) => {
+            const item = document.createElement('li');
+            
+            const name = document.createElement('span');
+            name.textContent = result.coach.name;
+            item.appendChild(name);
+            
+            if (result.detail) {
+                const detail = document.createElement('span');
+                detail.className = 'detail';
+                detail.textContent = result.detail;
+                item.appendChild(detail);
+            }
+            
+            item.addEventListener('mouseenter', () => this.setActiveSearchResult(index));
+            item.addEventListener('mousedown', (e) => {
+                // Keep focus in the input so blur does not close the list first
+                e.preventDefault();
+                this.selectSearchResult(result);
+            });
+            list.appendChild(item);
+        });
+        
+        list.style.display = 'block';
+    }
+    
+    /**
+     * Mark one autocomplete entry as active for keyboard selection
+     * @param {number} index - Result index
+     */
+    setActiveSearchResult(index) {
+        this.activeSearchResult = index;
+        [...this.searchResultsElement.children].forEach((item, i) => {
+            item.classList.toggle('active', i === index);
+        });
+    }
+    
+    /**
+     * Hide the autocomplete list
+     */
+    hideSearchResults() {
+        this.searchResultsElement.style.display = 'none';
+        this.searchResults = [];
+        this.activeSearchResult = -1;
+    }
+    
+    /**
+     * Jump to the chosen search result
+     * @param {Object} result - Result from searchCoaches
+     */
+    selectSearchResult(result) {
+        this.searchInput.value = result.coach.name;
+        this.hideSearchResults();
+        this.jumpToCoach(result.coach.name);
+    }
+    
+    /**
+     * Zoom to a coach, pulse their node and open their info card
+     * @param {string} coachName - Name of the coach
+     */
+    jumpToCoach(coachName) {
+        if (!this.coaches[coachName]) return;
+        
+        this.centerOnCoach(coachName);
+        if (this.renderer) {
+            this.renderer.pulse(coachName);
+        }
+        this.openCoachInfo(coachName);
+    }
+    
+    /**
+     * Attach wheel, drag and pinch handlers to the tree viewport
+     */
+    setupPanZoom() {
+        const tree = this.treeElement;
+        const pointers = new Map();
+        let dragged = false;
+        let pinchDistance = null;
+        
+        tree.addEventListener('wheel', (e) => {
+            // Let the info card scroll its own content
+            if (e.target.closest('.info-card')) return;
+            e.preventDefault();
+            // Trackpad pinches arrive as wheel events with ctrlKey set
+            const speed = e.ctrlKey ? 0.01 : 0.0015;
+            this.zoomAt(Math.exp(-e.deltaY * speed), e.clientX, e.clientY);
+        }, { passive: false });
+        
+        tree.addEventListener('pointerdown', (e) => {
+            if (e.target.closest('.info-card')) return;
+            pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            dragged = false;
+            pinchDistance = null;
+            tree.classList.add('panning');
+        });
+        
+        tree.addEventListener('pointermove', (e) => {
+            const previous = pointers.get(e.pointerId);
+            if (!previous) return;
+            
+            const current = { x: e.clientX, y: e.clientY };
+            pointers.set(e.pointerId, current);
+            
+            if (pointers.size === 2) {
+                // Pinch: zoom by the change in finger distance around their midpoint
+                const [a, b] = [...pointers.values()];
+                const distance = Math.hypot(a.x - b.x, a.y - b.y);
+                if (pinchDistance) {
+                    this.zoomAt(distance / pinchDistance, (a.x + b.x) / 2, (a.y + b.y) / 2);
+                }
+                pinchDistance = distance;
+                dragged = true;
+                return;
+            }
+            
+            const dx = current.x - previous.x;
+            const dy = current.y - previous.y;
+            if (!dragged && Math.hypot(dx, dy) < 3) {
+                // Too small to be a drag yet; keep measuring from the press
+                pointers.set(e.pointerId, previous);
+                return;
+            }
+            
+            if (!dragged) {
+                tree.setPointerCapture(e.pointerId);
+            }
+            dragged = true;
+            this.setTransform(this.transform.scale, this.transform.x + dx, this.transform.y + dy);
+        });
+        
+        const endPointer = (e) => {
+            pointers.delete(e.pointerId);
+            pinchDistance = null;
+            if (pointers.size === 0) tree.classList.remove('panning');
+        };
+        tree.addEventListener('pointerup', endPointer);
+        tree.addEventListener('pointercancel', endPointer);
+        
+        // A drag that ends over a node should not open its info card
+        tree.addEventListener('click', (e) => {
+            if (dragged) {
+                e.stopPropagation();
+                dragged = false;
+            }
+        }, true);
+    }
+    
+    /**
+     * Set zoom and pan, clamping the scale to ZOOM_LIMITS
+     * @param {number} scale - Zoom factor
+     * @param {number} x - Horizontal offset in pixels
+     * @param {number} y - Vertical offset in pixels
+     */
+    setTransform(scale, x, y) {
+        this.transform = {
+            scale: Math.min(ZOOM_LIMITS.max, Math.max(ZOOM_LIMITS.min, scale)),
+            x,
+            y
+        };
+        
+        if (this.renderer) {
+            this.renderer.updateTransform(this);
+        }
+        this.minimap.update(this);
+        this.positionInfoCard();
+        this.updateZoomLabel();
+        this.scheduleViewStateSave();
+    }
+    
+    /**
+     * Zoom by a factor, keeping the tree point under the given screen position fixed
+     * @param {number} factor - Multiplier for the current scale
+     * @param {number} clientX - Screen X position to zoom around
+     * @param {number} clientY - Screen Y position to zoom around
+     */
+    zoomAt(factor, clientX, clientY) {
+        const rect = this.treeElement.getBoundingClientRect();
+        const { scale, x, y } = this.transform;
+        const newScale = Math.min(ZOOM_LIMITS.max, Math.max(ZOOM_LIMITS.min, scale * factor));
+        const px = clientX - rect.left;
+        const py = clientY - rect.top;
+        
+        this.setTransform(
+            newScale,
+            px - (px - x) * (newScale / scale),
+            py - (py - y) * (newScale / scale)
+        );
+    }
+    
+    /**
+     * Zoom around the middle of the viewport
+     * @param {number} factor - Multiplier for the current scale
+     */
+    zoomBy(factor) {
+        const rect = this.treeElement.getBoundingClientRect();
+        this.zoomAt(factor, rect.left + rect.width / 2, rect.top + rect.height / 2);
+    }
+    
+    /**
+     * Zoom and pan so the whole tree fits in the viewport
+     */
+    fitAll() {
+        const { scale, x, y } = this.fitAllTransform();
+        this.setTransform(scale, x, y);
+    }
+    
+    /**
+     * Whether a transform is the one fitAll would set
+     * @param {Object} transform - { scale, x, y }
+     * @returns {boolean}
+     */
+    isFittedTransform(transform) {
+        const fitted = this.fitAllTransform();
+        return Math.abs(transform.scale - fitted.scale) < 1e-6 &&
+            Math.abs(transform.x - fitted.x) < 0.5 &&
+            Math.abs(transform.y - fitted.y) < 0.5;
+    }
+    
+    /**
+     * Transform that fits the whole tree in the viewport
+     * @returns {Object} - { scale, x, y }
+     */
+    fitAllTransform() {
+        const width = this.treeElement.clientWidth;
+        const height = this.treeElement.clientHeight;
+        const scale = Math.min(ZOOM_LIMITS.max, Math.max(ZOOM_LIMITS.min,
+            Math.min(width / this.treeWidth, height / this.treeHeight)));
+        
+        return {
+            scale,
+            x: (width - this.treeWidth * scale) / 2,
+            y: (height - this.treeHeight * scale) / 2
+        };
+    }
+    
+    /**
+     * Pan so a tree point is in the middle of the viewport
+     * @param {number} [x] - Tree X coordinate (defaults to the current center)
+     * @param {number} [y] - Tree Y coordinate (defaults to the current center)
+     * @param {number} [scale] - Zoom factor (defaults to the current scale)
+     */
+    centerOnPoint(x, y, scale) {
+        const center = this.viewCenter();
+        const newScale = scale || this.transform.scale;
+        const targetX = x === undefined ? center.x : x;
+        const targetY = y === undefined ? center.y : y;
+        
+        this.setTransform(
+            newScale,
+            this.treeElement.clientWidth / 2 - targetX * newScale,
+            this.treeElement.clientHeight / 2 - targetY * newScale
+        );
+    }
+    
+    /**
+     * Pan so a coach's node is in the middle of the viewport, zooming in if
+     * the tree is too far out to read the node
+     * @param {string} coachName - Name of the coach
+     */
+    centerOnCoach(coachName) {
+        const coach = this.coaches[coachName];
+        if (!coach) return;
+        
+        this.centerOnPoint(coach.x, coach.y, Math.max(this.transform.scale, 0.6));
+    }
+    
+    /**
+     * Tree coordinates of the middle of the viewport
+     * @returns {Object} - { x, y }
+     */
+    viewCenter() {
+        const { scale, x, y } = this.transform;
+        return {
+            x: (this.treeElement.clientWidth / 2 - x) / scale,
+            y: (this.treeElement.clientHeight / 2 - y) / scale
+        };
+    }
+    
+    /**
+     * Show the current zoom as a percentage
+     */
+    updateZoomLabel() {
+        if (this.zoomLabelElement) {
+            this.zoomLabelElement.textContent = `${Math.round(this.transform.scale * 100)}%`;
+        }
+    }
+    
+    /**
+     * Switch rendering backend and redraw
+     * @param {string} choice - 'auto', 'svg' or 'canvas'
+     */
+    setRenderer(choice) {
+        this.rendererChoice = choice;
+        if (Object.keys(this.coaches).length === 0) return;
+        
+        const selectedCoach = this.selectedCoach;
+        this.hideInfoCard();
+        this.renderVisualization();
+        if (selectedCoach) this.openCoachInfo(selectedCoach);
+    }
+    
+    /**
+     * Show coach information in a popup card
+     * @param {Object} coach - Coach data object
+     * @param {number} clientX - Click X position
+     * @param {number} clientY - Click Y position
+     */
+    showCoachInfo(coach, clientX, clientY) {
+        // Remove any existing info card
+        this.hideInfoCard();
+        
+        // Create new info card
+        const infoCard = document.createElement('div');
+        infoCard.className = 'info-card';
+        
+        // Add close button
+        const closeBtn = document.createElement('span');
+        closeBtn.className = 'close-btn';
+        closeBtn.textContent = '×';
+        closeBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.hideInfoCard();
+        });
+        infoCard.appendChild(closeBtn);
+        
+        // Add coach name
+        const nameHeading = document.createElement('h3');
+        nameHeading.textContent = coach.name;
+        infoCard.appendChild(nameHeading);
+        
+        // Add tree exploration actions
+        const actions = document.createElement('div');
+        actions.className = 'card-actions';
+        
+        const mentorsBtn = document.createElement('button');
+        mentorsBtn.textContent = 'Show mentors';
+        mentorsBtn.disabled = coach.headCoachesOver.size === 0;
+        mentorsBtn.addEventListener('click', () => this.showMentorLineage(coach.name));
+        actions.appendChild(mentorsBtn);
+        
+        const treeBtn = document.createElement('button');
+        treeBtn.textContent = 'Show coaching tree';
+        treeBtn.disabled = coach.coordinatorsUnder.size === 0;
+        treeBtn.addEventListener('click', () => this.showCoachingTree(coach.name));
+        actions.appendChild(treeBtn);
+        
+        infoCard.appendChild(actions);
+        
+        infoCard.appendChild(this.careerStatsElement(coach.name));
+        infoCard.appendChild(this.treeMetricsElement(coach.name));
+        
+        // Sort roles by season (newest first)
+        const sortedRoles = [...coach.roles].sort((a, b) => b.season - a.season);
+        
+        // Add career history
+        sortedRoles.forEach(role => {
+            const careerItem = document.createElement('div');
+            const info = roleInfo(role.role);
+            careerItem.className = 'career-item';
+            careerItem.style.borderLeftColor = info.color;
+            
+            const teamYear = document.createElement('div');
+            teamYear.className = 'team-year';
+            teamYear.textContent = `${teamFullName(role.team, role.season)} (${role.season})`;
+            const franchise = franchiseFor(role.team, role.season);
+            if (franchise) {
+                teamYear.title = franchiseAlignment(franchise, role.season);
             }
+            careerItem.appendChild(teamYear);
             
-            // Find earliest seasons as head coach and coordinator
-            const earliestHeadCoachSeason = wasHeadCoach ? 
-                Math.min(...coach.roles
-                    .filter(r => r.role === 'Head Coach')
-                    .map(r => r.season)) : Infinity;
+            const roleEl = document.createElement('div');
+            roleEl.className = 'role';
+            roleEl.textContent = info.label === role.role ? role.role : `${info.label} (${role.role})`;
+            careerItem.appendChild(roleEl);
             
-            const earliestCoordinatorSeason = wasCoordinator ?
-                Math.min(...coach.roles
-                    .filter(r => r.role !== 'Head Coach')
-                    .map(r => r.season)) : Infinity;
+            const recordEl = document.createElement('div');
+            recordEl.className = 'record';
+            recordEl.textContent = `Record: ${formatRecord(parseRecord(role.record))}`;
+            careerItem.appendChild(recordEl);
             
-            // Root coach if they were head coach first
-            return wasHeadCoach && earliestHeadCoachSeason <= earliestCoordinatorSeason;
+            // Add click event to highlight connected coaches
+            careerItem.addEventListener('click', () => {
+                this.highlightConnections(coach.name, role.team, role.season);
+            });
+            
+            infoCard.appendChild(careerItem);
+        });
+        
+        // Anchor the card to the clicked tree point so it follows zoom and pan
+        const treeRect = this.treeElement.getBoundingClientRect();
+        const { scale, x, y } = this.transform;
+        this.infoCardAnchor = {
+            x: (clientX - treeRect.left - x) / scale,
+            y: (clientY - treeRect.top - y) / scale
+        };
+        
+        // Add card to the tree
+        this.treeElement.appendChild(infoCard);
+        infoCard.style.display = 'block';
+        
+        this.activeInfoCard = infoCard;
+        this.positionInfoCard();
+        this.selectedCoach = coach.name;
+        this.scheduleViewStateSave();
+    }
+    
+    /**
+     * Build the head-coaching career summary shown in the info card
+     * @param {string} coachName - Name of the coach
+     * @returns {HTMLElement}
+     */
+    careerStatsElement(coachName) {
+        const section = document.createElement('div');
+        section.className = 'career-stats';
+        
+        const career = this.careerStats.get(coachName);
+        if (!career) {
+            section.textContent = 'No head-coaching seasons';
+            return section;
+        }
+        
+        const seasons = career.seasons === 1 ? '1 season' : `${career.seasons} seasons`;
+        const summary = document.createElement('div');
+        summary.className = 'career-summary';
+        summary.textContent = `Head coach: ${formatRecord(career)} (${formatWinPercentage(career.pct)}), ${seasons}`;
+        section.appendChild(summary);
+        
+        // Per-team splits
+        const table = document.createElement('table');
+        table.className = 'team-splits';
+        const header = table.insertRow();
+        ['Team', 'Seasons', 'Record', 'Pct'].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            header.appendChild(th);
+        });
+        
+        career.teams.forEach(split => {
+            const row = table.insertRow();
+            const span = split.from === split.to ? String(split.from) : `${split.from}–${split.to}`;
+            [
+                teamFullName(split.team, split.to),
+                `${span} (${split.seasons})`,
+                formatRecord(split),
+                formatWinPercentage(split.pct)
+            ].forEach(text => {
+                row.insertCell().textContent = text;
+            });
+        });
+        section.appendChild(table);
+        
+        return section;
+    }
+    
+    /**
+     * Show or hide the leaderboard beside the tree
+     * @param {boolean} [visible] - Whether to show it; toggles when omitted
+     */
+    toggleLeaderboard(visible = !this.leaderboard.visible) {
+        this.leaderboard.setVisible(visible);
+        
+        // The tree narrows or widens to make room
+        if (this.renderer) {
+            this.renderer.updateTransform(this);
+        }
+        this.minimap.update(this);
+    }
+    
+    /**
+     * Show or hide the promotion timeline beside the tree, labeling the
+     * promotion edges while it is open
+     * @param {boolean} [visible] - Whether to show it; toggles when omitted
+     */
+    togglePromotionTimeline(visible = !this.promotionTimeline.visible) {
+        this.promotionTimeline.update(this);
+        this.promotionTimeline.setVisible(visible);
+        this.updateEdgeAnnotations();
+        
+        if (this.renderer) {
+            this.renderer.updateHighlights(this);
+            this.renderer.updateTransform(this);
+        }
+        this.minimap.update(this);
+    }
+    
+    /**
+     * Promotions to head coach among the coaches currently shown, detected once per tree
+     * @returns {Array} - Promotions from detectPromotions
+     */
+    getPromotions() {
+        if (!this.promotionsCache || this.promotionsCache.coaches !== this.coaches) {
+            this.promotionsCache = {
+                coaches: this.coaches,
+                promotions: detectPromotions(this.coaches, this.connections)
+            };
+        }
+        return this.promotionsCache.promotions;
+    }
+    
+    /**
+     * Label each mentor-to-head-coach edge with the promotion while the
+     * timeline is open
+     */
+    updateEdgeAnnotations() {
+        this.edgeAnnotations = this.promotionTimeline.visible
+            ? this.getPromotions().map(promotion => ({
+                head: promotion.mentor,
+                coordinator: promotion.coach,
+                text: `HC ${promotion.team} ${promotion.season}`
+            }))
+            : [];
+    }
+    
+    /**
+     * Highlight the edge a promotion came from and zoom to both coaches
+     * @param {Object} promotion - Promotion from detectPromotions
+     */
+    showPromotion(promotion) {
+        this.resetHighlights();
+        
+        this.connections
+            .filter(conn => conn.head === promotion.mentor && conn.coordinator === promotion.coach)
+            .forEach(conn => this.highlightedConnections.add(conn));
+        this.highlightedCoaches.add(promotion.mentor);
+        this.highlightedCoaches.add(promotion.coach);
+        this.nodeBadges.set(promotion.coach, `HC ${promotion.season}`);
+        
+        if (this.renderer) {
+            this.renderer.updateHighlights(this);
+        }
+        this.minimap.update(this);
+        this.fitCoaches([promotion.mentor, promotion.coach]);
+    }
+    
+    /**
+     * Start measuring the trees of the coaches currently shown, a few coaches
+     * at a time so large trees do not hold up the page. Open info cards and
+     * the leaderboard are refreshed once every tree is measured.
+     */
+    measureTreeMetrics() {
+        if (this.treeMetricsCache && this.treeMetricsCache.coaches === this.coaches) return;
+        clearTimeout(this.treeMetricsTimer);
+        this.treeMetricsCache = null;
+        
+        // The tree changes every season while playing, so it is measured on pause
+        if (this.isPlaying()) return;
+        
+        const cache = { coaches: this.coaches, metrics: new Map(), rankings: new Map(), done: false };
+        this.treeMetricsCache = cache;
+        const names = Object.keys(cache.coaches);
+        
+        const measure = () => {
+            const deadline = performance.now() + TREE_METRICS_TIME_SLICE;
+            while (cache.metrics.size < names.length && performance.now() < deadline) {
+                const name = names[cache.metrics.size];
+                cache.metrics.set(name, computeTreeMetrics(cache.coaches, this.careerStats, name));
+            }
+            if (cache.metrics.size < names.length) {
+                this.treeMetricsTimer = setTimeout(measure, 0);
+                return;
+            }
+            
+            this.treeMetricsTimer = null;
+            cache.done = true;
+            this.leaderboard.update(this);
+            const section = this.activeInfoCard && this.activeInfoCard.querySelector('.tree-metrics');
+            if (section) section.replaceWith(this.treeMetricsElement(section.dataset.coach));
+        };
+        this.treeMetricsTimer = setTimeout(measure, 0);
+    }
+    
+    /**
+     * Tree metrics for the coaches currently shown, computed once per tree
+     * @returns {Map|null} - Coach name to metrics from computeTreeMetrics, or
+     *     null while the trees are still being measured
+     */
+    getTreeMetrics() {
+        this.measureTreeMetrics();
+        const cache = this.treeMetricsCache;
+        return cache && cache.done ? cache.metrics : null;
+    }
+    
+    /**
+     * Coaches with disciples, best tree first by one metric, ranked once per tree
+     * @param {string} metric - Key of TREE_METRIC_LABELS
+     * @returns {Array} - Entries of the form { name, metrics }, shared between
+     *     callers; empty while the trees are still being measured
+     */
+    rankByTreeMetric(metric) {
+        const metrics = this.getTreeMetrics();
+        if (!metrics) return [];
+        
+        const rankings = this.treeMetricsCache.rankings;
+        if (!rankings.has(metric)) {
+            const entries = rankTreeMetrics(metrics, metric);
+            const ranks = new Map(entries.map((entry, index) => [entry.name, index + 1]));
+            rankings.set(metric, { entries, ranks });
+        }
+        return rankings.get(metric).entries;
+    }
+    
+    /**
+     * A coach's place in the ranking by one tree metric
+     * @param {string} coachName - Name of the coach
+     * @param {string} metric - Key of TREE_METRIC_LABELS
+     * @returns {number} - Rank from 1, or 0 for coaches not ranked
+     */
+    treeMetricRank(coachName, metric) {
+        if (this.rankByTreeMetric(metric).length === 0) return 0;
+        const ranking = this.treeMetricsCache.rankings.get(metric);
+        return (ranking && ranking.ranks.get(coachName)) || 0;
+    }
+    
+    /**
+     * Text for one tree metric, e.g. "500-400-3 (.556)" for win %
+     * @param {Object} metrics - Metrics from computeTreeMetrics
+     * @param {string} metric - Key of TREE_METRIC_LABELS
+     * @returns {string}
+     */
+    formatTreeMetric(metrics, metric) {
+        if (metric === 'pct') {
+            return metrics.headCoaches > 0
+                ? `${formatRecord(metrics)} (${formatWinPercentage(metrics.pct)})`
+                : '–';
+        }
+        return String(metrics[metric]);
+    }
+    
+    /**
+     * Build the coaching tree summary shown in the info card. Each metric
+     * links to a ranking of every coach by it.
+     * @param {string} coachName - Name of the coach
+     * @returns {HTMLElement}
+     */
+    treeMetricsElement(coachName) {
+        const section = document.createElement('div');
+        section.className = 'tree-metrics';
+        section.dataset.coach = coachName;
+        
+        const allMetrics = this.getTreeMetrics();
+        if (!allMetrics) {
+            section.textContent = 'Measuring coaching trees…';
+            return section;
+        }
+        
+        const metrics = allMetrics.get(coachName);
+        if (!metrics || metrics.disciples === 0) {
+            section.textContent = 'No disciples in this tree';
+            return section;
+        }
+        
+        const heading = document.createElement('strong');
+        heading.textContent = 'Coaching tree';
+        section.appendChild(heading);
+        
+        Object.entries(TREE_METRIC_LABELS).forEach(([metric, label]) => {
+            const row = document.createElement('div');
+            
+            const link = document.createElement('a');
+            link.href = '#';
+            link.textContent = label;
+            link.title = `Rank coaches by ${label.toLowerCase()}`;
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.showTreeMetricRanking(metric);
+            });
+            row.appendChild(link);
+            
+            const rank = this.treeMetricRank(coachName, metric);
+            row.appendChild(document.createTextNode(`: ${this.formatTreeMetric(metrics, metric)} (#${rank})`));
+            section.appendChild(row);
+        });
+        
+        return section;
+    }
+    
+    /**
+     * List the best coaching trees by one metric and mark the top ten on the tree
+     * @param {string} metric - Key of TREE_METRIC_LABELS
+     */
+    showTreeMetricRanking(metric) {
+        const ranking = this.rankByTreeMetric(metric).slice(0, 25);
+        
+        this.resetHighlights();
+        ranking.slice(0, 10).forEach((entry, index) => {
+            this.highlightedCoaches.add(entry.name);
+            this.nodeBadges.set(entry.name, `#${index + 1}`);
         });
         
-        // Assign level 0 to root coaches
-        rootCoaches.forEach(coach => {
-            coach.level = 0;
+        if (this.renderer) {
+            this.renderer.updateHighlights(this);
+        }
+        this.minimap.update(this);
+        
+        this.showHighlightPanel(`Coaching trees by ${TREE_METRIC_LABELS[metric].toLowerCase()}`, [{
+            label: `Top ${ranking.length}`,
+            entries: ranking.map((entry, index) => ({
+                name: `${index + 1}. ${entry.name}`,
+                coachName: entry.name,
+                note: this.formatTreeMetric(entry.metrics, metric)
+            }))
+        }]);
+    }
+    
+    /**
+     * Open a coach's info card next to their node
+     * @param {string} coachName - Name of the coach
+     */
+    openCoachInfo(coachName) {
+        const coach = this.coaches[coachName];
+        if (!coach) return;
+        
+        const treeRect = this.treeElement.getBoundingClientRect();
+        const { scale, x, y } = this.transform;
+        this.showCoachInfo(coach, treeRect.left + coach.x * scale + x, treeRect.top + coach.y * scale + y);
+    }
+    
+    /**
+     * Place the info card at its anchor, keeping it inside the viewport
+     */
+    positionInfoCard() {
+        if (!this.activeInfoCard || !this.infoCardAnchor) return;
+        
+        const { scale, x, y } = this.transform;
+        const cardWidth = this.activeInfoCard.offsetWidth || 320;
+        const cardHeight = this.activeInfoCard.offsetHeight;
+        const viewWidth = this.treeElement.clientWidth;
+        const viewHeight = this.treeElement.clientHeight;
+        
+        let left = this.infoCardAnchor.x * scale + x;
+        let top = this.infoCardAnchor.y * scale + y;
+        
+        // Adjust position if it would go off screen
+        if (left + cardWidth > viewWidth) {
+            left = left - cardWidth;
+        }
+        if (top + cardHeight > viewHeight) {
+            top = Math.max(0, viewHeight - cardHeight);
+        }
+        
+        this.activeInfoCard.style.left = `${left}px`;
+        this.activeInfoCard.style.top = `${top}px`;
+    }
+    
+    /**
+     * Hide the active info card
+     */
+    hideInfoCard() {
+        if (this.activeInfoCard) {
+            this.activeInfoCard.remove();
+            this.activeInfoCard = null;
+            this.infoCardAnchor = null;
+        }
+        
+        if (this.selectedCoach) {
+            this.selectedCoach = null;
+            this.scheduleViewStateSave();
+        }
+    }
+    
+    /**
+     * Highlight connections for a specific coach, team, and season
+     * @param {string} coachName - Name of the coach
+     * @param {string} team - Team name
+     * @param {number} season - Season year
+     */
+    highlightConnections(coachName, team, season) {
+        // Reset all highlights
+        this.resetHighlights();
+        this.highlight = { mode: 'staff', coachName, team, season: parseInt(season) };
+        this.scheduleViewStateSave();
+        
+        // Find all connections for this coach, team, and season
+        const relatedConnections = this.connections.filter(conn => 
+            (conn.head === coachName || conn.coordinator === coachName) && 
+            conn.team === team && 
+            conn.season === parseInt(season)
+        );
+        
+        // Highlight connections and related coach nodes
+        relatedConnections.forEach(conn => {
+            this.highlightedConnections.add(conn);
+            this.highlightedCoaches.add(conn.head);
+            this.highlightedCoaches.add(conn.coordinator);
         });
         
-        // Calculate levels for all other coaches through BFS
-        const queue = [...rootCoaches];
-        const visited = new Set(rootCoaches.map(c => c.name));
+        if (this.renderer) {
+            this.renderer.updateHighlights(this);
+        }
+        this.minimap.update(this);
+    }
+    
+    /**
+     * Reset all highlights
+     */
+    resetHighlights() {
+        if (this.highlight) {
+            this.highlight = null;
+            this.scheduleViewStateSave();
+        }
         
-        while (queue.length > 0) {
-            const currentCoach = queue.shift();
-            
-            // Process all coordinators under this coach
-            currentCoach.coordinatorsUnder.forEach(coordinatorName => {
-                const coordinator = this.coaches[coordinatorName];
-                
-                // Set level to max of current level or head coach's level + 1
-                coordinator.level = Math.max(coordinator.level, currentCoach.level + 1);
-                
-                // Add to queue if not visited
-                if (!visited.has(coordinatorName)) {
-                    visited.add(coordinatorName);
-                    queue.push(coordinator);
-                }
+        this.highlightedConnections.clear();
+        this.highlightedCoaches.clear();
+        this.nodeBadges.clear();
+        this.hideHighlightPanel();
+        
+        if (this.renderer) {
+            this.renderer.updateHighlights(this);
+        }
+        this.minimap.update(this);
+    }
+    
+    /**
+     * Reapply a highlight saved in the view state or a permalink
+     * @param {Object} highlight - { mode, coachName, ... }
+     */
+    restoreHighlight(highlight) {
+        if (highlight.mode === 'mentors') {
+            this.showMentorLineage(highlight.coachName, false);
+        } else if (highlight.mode === 'path') {
+            this.showConnectionPath(highlight.coachName, highlight.target, highlight.undirected, false);
+        } else {
+            this.highlightConnections(highlight.coachName, highlight.team, highlight.season);
+        }
+    }
+    
+    /**
+     * Find every ancestor of a coach by following headCoachesOver
+     * @param {string} coachName - Name of the coach
+     * @returns {Map} - Ancestor name to generation (1 = direct mentor); a
+     *     coach reachable several ways gets their nearest generation
+     */
+    findMentorLineage(coachName) {
+        const generations = new Map([[coachName, 0]]);
+        let frontier = [coachName];
+        
+        while (frontier.length > 0) {
+            const next = [];
+            frontier.forEach(name => {
+                this.coaches[name].headCoachesOver.forEach(mentor => {
+                    if (!generations.has(mentor)) {
+                        generations.set(mentor, generations.get(name) + 1);
+                        next.push(mentor);
+                    }
+                });
             });
+            frontier = next;
         }
         
-        // Handle any remaining coaches (those without clear hierarchical connections)
-        Object.values(this.coaches).forEach(coach => {
-            if (!visited.has(coach.name)) {
-                const maxLevel = Object.values(this.coaches)
-                    .filter(c => visited.has(c.name))
-                    .reduce((max, c) => Math.max(max, c.level), 0);
-                    
-                coach.level = maxLevel + 1;
-                visited.add(coach.name);
-            }
-        });
+        generations.delete(coachName);
+        return generations;
     }
     
     /**
-     * Calculate positions for coach nodes in the visualization
+     * Highlight a coach's mentors, their mentors and so on back to the root
+     * coaches, labeling each node with its generation
+     * @param {string} coachName - Name of the coach
+     * @param {boolean} [fitView=true] - Zoom to show the whole lineage
      */
-    calculatePositions() {
-        // Group coaches by level
-        const coachesByLevel = {};
-        Object.values(this.coaches).forEach(coach => {
-            if (!coachesByLevel[coach.level]) {
-                coachesByLevel[coach.level] = [];
+    showMentorLineage(coachName, fitView = true) {
+        if (!this.coaches[coachName]) return;
+        
+        this.resetHighlights();
+        this.highlight = { mode: 'mentors', coachName };
+        this.scheduleViewStateSave();
+        
+        const lineage = this.findMentorLineage(coachName);
+        const members = new Set([coachName, ...lineage.keys()]);
+        
+        // Every edge into a lineage member comes from one of their mentors
+        this.connections.forEach(conn => {
+            if (members.has(conn.coordinator)) {
+                this.highlightedConnections.add(conn);
             }
-            coachesByLevel[coach.level].push(coach);
         });
+        members.forEach(name => this.highlightedCoaches.add(name));
+        lineage.forEach((generation, name) => this.nodeBadges.set(name, `G${generation}`));
         
-        // Count maximum number of coaches at any level
-        const maxCoachesAtAnyLevel = Math.max(
-            ...Object.values(coachesByLevel).map(coaches => coaches.length)
-        );
+        if (this.renderer) {
+            this.renderer.updateHighlights(this);
+        }
+        this.minimap.update(this);
         
-        // Calculate total levels
-        const totalLevels = Math.max(
-            ...Object.values(this.coaches).map(c => c.level)
-        ) + 1;
+        // List the lineage by generation
+        const byGeneration = [];
+        lineage.forEach((generation, name) => {
+            if (!byGeneration[generation - 1]) byGeneration[generation - 1] = [];
+            byGeneration[generation - 1].push(name);
+        });
         
-        // Adjust tree height based on number of levels
-        this.treeHeight = Math.max(600, totalLevels * 200);
+        const sections = byGeneration.map((names, index) => ({
+            label: index === 0 ? 'Generation 1 (direct mentors)' : `Generation ${index + 1}`,
+            entries: names.sort().map(name => ({
+                name,
+                note: this.coaches[name].headCoachesOver.size === 0 ? 'root' : ''
+            }))
+        }));
+        this.showHighlightPanel(`Mentor lineage of ${coachName}`, sections);
+        
+        if (fitView) {
+            this.fitCoaches([...members]);
+        }
+    }
+    
+    /**
+     * Show the panel describing the active highlight
+     * @param {string} title - Panel heading
+     * @param {Array} sections - Sections of the form { label, entries, separator },
+     *     where each entry is { name, note } and links to that coach (or to
+     *     entry.coachName when the displayed name differs)
+     */
+    showHighlightPanel(title, sections) {
+        const panel = this.highlightPanelElement;
+        panel.innerHTML = '';
+        
+        const closeBtn = document.createElement('span');
+        closeBtn.className = 'close-btn';
+        closeBtn.textContent = '×';
+        closeBtn.addEventListener('click', () => this.resetHighlights());
+        panel.appendChild(closeBtn);
         
-        // Adjust tree width based on maximum coaches at any level
-        this.treeWidth = Math.max(1000, maxCoachesAtAnyLevel * 180);
+        const heading = document.createElement('h3');
+        heading.textContent = title;
+        panel.appendChild(heading);
         
-        // Assign positions to coaches based on level
-        Object.keys(coachesByLevel).forEach(level => {
-            const coaches = coachesByLevel[level];
-            const levelY = parseInt(level) * (this.treeHeight / totalLevels) + 100;
+        sections.forEach(section => {
+            const row = document.createElement('div');
+            row.className = 'highlight-section';
             
-            // Sort coaches alphabetically within level for better organization
-            coaches.sort((a, b) => a.name.localeCompare(b.name));
+            const label = document.createElement('strong');
+            label.textContent = `${section.label}: `;
+            row.appendChild(label);
             
-            coaches.forEach((coach, index) => {
-                const spacing = this.treeWidth / (coaches.length + 1);
-                const x = (index + 1) * spacing;
+            section.entries.forEach((entry, index) => {
+                const link = document.createElement('a');
+                link.href = '#';
+                link.textContent = entry.name;
+                link.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    this.jumpToCoach(entry.coachName || entry.name);
+                });
+                row.appendChild(link);
                 
-                coach.x = x;
-                coach.y = levelY;
+                if (entry.note) {
+                    row.appendChild(document.createTextNode(` (${entry.note})`));
+                }
+                if (index < section.entries.length - 1) {
+                    row.appendChild(document.createTextNode(section.separator || ', '));
+                }
             });
+            
+            panel.appendChild(row);
         });
+        
+        panel.style.display = 'block';
     }
     
     /**
-     * Render the entire visualization
+     * Hide the highlight panel
      */
-    renderVisualization() {
-        // Clear existing visualization
-        this.treeElement.innerHTML = '';
-        this.treeElement.style.width = `${this.treeWidth}px`;
-        this.treeElement.style.height = `${this.treeHeight}px`;
-        
-        // Render connections first (so they appear behind nodes)
-        this.renderConnections();
-        
-        // Render coach nodes
-        this.renderCoachNodes();
+    hideHighlightPanel() {
+        this.highlightPanelElement.style.display = 'none';
+        this.highlightPanelElement.innerHTML = '';
     }
     
     /**
-     * Render connection lines between coaches
+     * Fill the name suggestions used by the path finder inputs
      */
-    renderConnections() {
-        this.connections.forEach(connection => {
-            const headCoach = this.coaches[connection.head];
-            const coordinator = this.coaches[connection.coordinator];
-            
-            const connectionEl = document.createElement('div');
-            connectionEl.className = 'connection';
-            connectionEl.dataset.head = connection.head;
-            connectionEl.dataset.coordinator = connection.coordinator;
-            connectionEl.dataset.season = connection.season;
-            connectionEl.dataset.team = connection.team;
-            
-            // Calculate position and rotation
-            const dx = coordinator.x - headCoach.x;
-            const dy = coordinator.y - headCoach.y;
-            const distance = Math.sqrt(dx * dx + dy * dy);
-            const angle = Math.atan2(dy, dx) * 180 / Math.PI;
-            
-            // Position connection
-            connectionEl.style.left = `${headCoach.x}px`;
-            connectionEl.style.top = `${headCoach.y}px`;
-            connectionEl.style.width = `${distance}px`;
-            connectionEl.style.transform = `rotate(${angle}deg)`;
-            
-            this.treeElement.appendChild(connectionEl);
+    updateCoachNameList() {
+        this.coachNamesList.innerHTML = '';
+        Object.keys(this.coaches).sort().forEach(name => {
+            this.coachNamesList.appendChild(new Option(name));
         });
     }
     
     /**
-     * Render coach nodes (circles)
+     * Resolve a typed coach name, falling back to the best search match
+     * @param {string} text - Name as typed
+     * @returns {string|null} - Coach name, or null if nothing matches
      */
-    renderCoachNodes() {
-        Object.values(this.coaches).forEach(coach => {
-            const nodeEl = document.createElement('div');
-            nodeEl.className = 'coach-node';
-            
-            // Check if this coach was ever a head coach
-            const wasHeadCoach = coach.roles.some(r => r.role === 'Head Coach');
-            if (wasHeadCoach) {
-                nodeEl.classList.add('head-coach');
-            } else {
-                nodeEl.classList.add('coordinator');
-            }
-            
-            nodeEl.textContent = coach.name;
-            nodeEl.style.left = `${coach.x - this.nodeRadius}px`;
-            nodeEl.style.top = `${coach.y - this.nodeRadius}px`;
-            nodeEl.dataset.coach = coach.name;
-            
-            // Add click event
-            nodeEl.addEventListener('click', (e) => {
-                this.showCoachInfo(coach, e.clientX, e.clientY);
-            });
-            
-            this.treeElement.appendChild(nodeEl);
-        });
+    resolveCoachName(text) {
+        const name = text.trim();
+        if (this.coaches[name]) return name;
+        
+        const results = this.searchCoaches(name);
+        return results.length > 0 ? results[0].coach.name : null;
     }
     
     /**
-     * Show coach information in a popup card
-     * @param {Object} coach - Coach data object
-     * @param {number} clientX - Click X position
-     * @param {number} clientY - Click Y position
+     * Run the path finder on the two names typed into it
      */
-    showCoachInfo(coach, clientX, clientY) {
-        // Remove any existing info card
-        this.hideInfoCard();
+    findPathFromInputs() {
+        const from = this.resolveCoachName(this.pathFromInput.value);
+        const to = this.resolveCoachName(this.pathToInput.value);
         
-        // Create new info card
-        const infoCard = document.createElement('div');
-        infoCard.className = 'info-card';
+        if (!from || !to) {
+            const unknown = !from ? this.pathFromInput.value : this.pathToInput.value;
+            this.showAlert(unknown.trim() ? `No coach matches "${unknown.trim()}"` : 'Enter two coaches to connect');
+            return;
+        }
         
-        // Add close button
-        const closeBtn = document.createElement('span');
-        closeBtn.className = 'close-btn';
-        closeBtn.textContent = '×';
-        closeBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.hideInfoCard();
+        this.pathFromInput.value = from;
+        this.pathToInput.value = to;
+        this.showConnectionPath(from, to, this.pathUndirectedInput.checked);
+    }
+    
+    /**
+     * Find the fewest head coach/coordinator hops from one coach to another
+     * @param {string} from - Name of the starting coach
+     * @param {string} to - Name of the target coach
+     * @param {boolean} [undirected=false] - Also walk edges from coordinator up to head coach
+     * @returns {Array|null} - Hops of the form { from, to, connection }, or null if
+     *     the coaches are not connected; each hop uses its earliest season together
+     */
+    findConnectionPath(from, to, undirected = false) {
+        // First connection per coach pair, earliest season first
+        const neighbors = new Map();
+        const link = (a, b, conn) => {
+            if (!neighbors.has(a)) neighbors.set(a, new Map());
+            const edges = neighbors.get(a);
+            const existing = edges.get(b);
+            if (!existing || conn.season < existing.season) edges.set(b, conn);
+        };
+        this.connections.forEach(conn => {
+            link(conn.head, conn.coordinator, conn);
+            if (undirected) link(conn.coordinator, conn.head, conn);
         });
-        infoCard.appendChild(closeBtn);
-        
-        // Add coach name
-        const nameHeading = document.createElement('h3');
-        nameHeading.textContent = coach.name;
-        infoCard.appendChild(nameHeading);
         
-        // Sort roles by season (newest first)
-        const sortedRoles = [...coach.roles].sort((a, b) => b.season - a.season);
+        // Breadth-first search, remembering how each coach was reached
+        const previous = new Map([[from, null]]);
+        let frontier = [from];
         
-        // Add career history
-        sortedRoles.forEach(role => {
-            const careerItem = document.createElement('div');
-            careerItem.className = `career-item ${role.role === 'Head Coach' ? 'head-coach' : 'coordinator'}`;
-            
-            const teamYear = document.createElement('div');
-            teamYear.className = 'team-year';
-            teamYear.textContent = `${role.team} (${role.season})`;
-            careerItem.appendChild(teamYear);
-            
-            const roleEl = document.createElement('div');
-            roleEl.className = 'role';
-            roleEl.textContent = role.role;
-            careerItem.appendChild(roleEl);
-            
-            const recordEl = document.createElement('div');
-            recordEl.className = 'record';
-            recordEl.textContent = `Record: ${role.record}`;
-            careerItem.appendChild(recordEl);
-            
-            // Add click event to highlight connected coaches
-            careerItem.addEventListener('click', () => {
-                this.highlightConnections(coach.name, role.team, role.season);
+        while (frontier.length > 0 && !previous.has(to)) {
+            const next = [];
+            frontier.forEach(name => {
+                (neighbors.get(name) || new Map()).forEach((conn, neighbor) => {
+                    if (!previous.has(neighbor)) {
+                        previous.set(neighbor, { from: name, connection: conn });
+                        next.push(neighbor);
+                    }
+                });
             });
-            
-            infoCard.appendChild(careerItem);
-        });
+            frontier = next;
+        }
         
-        // Position the card
-        const scrollX = window.scrollX;
-        const scrollY = window.scrollY;
-        const treeRect = this.treeElement.getBoundingClientRect();
+        if (!previous.has(to)) return null;
         
-        let left = clientX - treeRect.left + scrollX;
-        let top = clientY - treeRect.top + scrollY;
+        const hops = [];
+        for (let name = to; previous.get(name); name = previous.get(name).from) {
+            const step = previous.get(name);
+            hops.unshift({ from: step.from, to: name, connection: step.connection });
+        }
+        return hops;
+    }
+    
+    /**
+     * Highlight the shortest path between two coaches and list it as a chain.
+     * A directed search that fails from the first coach is retried from the
+     * second, since either may be the mentor.
+     * @param {string} from - Name of the first coach
+     * @param {string} to - Name of the second coach
+     * @param {boolean} [undirected=false] - Ignore who coached under whom
+     * @param {boolean} [fitView=true] - Zoom to show the whole path
+     */
+    showConnectionPath(from, to, undirected = false, fitView = true) {
+        if (!this.coaches[from] || !this.coaches[to]) return;
         
-        // Adjust position if it would go off screen
-        if (left + 320 > treeRect.width) {
-            left = left - 320;
+        this.resetHighlights();
+        
+        let start = from;
+        let hops = this.findConnectionPath(from, to, undirected);
+        if (!hops && !undirected) {
+            start = to;
+            hops = this.findConnectionPath(to, from);
         }
         
-        infoCard.style.left = `${left}px`;
-        infoCard.style.top = `${top}px`;
+        if (!hops) {
+            const hint = undirected ? '' : '; try ignoring direction';
+            this.showAlert(`No connection found between ${from} and ${to}${hint}`, 'info');
+            return;
+        }
         
-        // Add card to the tree
-        this.treeElement.appendChild(infoCard);
-        infoCard.style.display = 'block';
+        this.highlight = { mode: 'path', coachName: from, target: to, undirected };
+        this.scheduleViewStateSave();
         
-        this.activeInfoCard = infoCard;
+        this.highlightedCoaches.add(start);
+        hops.forEach((hop, index) => {
+            this.highlightedConnections.add(hop.connection);
+            this.highlightedCoaches.add(hop.to);
+            this.nodeBadges.set(hop.to, `${index + 1}`);
+        });
+        
+        if (this.renderer) {
+            this.renderer.updateHighlights(this);
+        }
+        this.minimap.update(this);
+        
+        // Describe each hop from the point of view of the coach it reaches
+        const entries = [{ name: start, note: '' }];
+        hops.forEach(hop => {
+            const conn = hop.connection;
+            const tenure = this.tenureOf(conn);
+            const where = tenure ? `${tenure.team} ${this.formatSpan(tenure)}` : `${conn.team} ${conn.season}`;
+            if (hop.to === conn.coordinator) {
+                entries.push({ name: hop.to, note: `${conn.role || 'Coordinator'} under ${hop.from}, ${where}` });
+            } else {
+                entries.push({ name: hop.to, note: `head coach over ${hop.from}, ${where}` });
+            }
+        });
+        
+        const hopCount = hops.length === 1 ? '1 hop' : `${hops.length} hops`;
+        this.showHighlightPanel(`How ${from} and ${to} are connected`, [
+            { label: hopCount, entries, separator: ' → ' }
+        ]);
+        
+        if (fitView) {
+            this.fitCoaches([start, ...hops.map(hop => hop.to)]);
+        }
     }
     
     /**
-     * Hide the active info card
+     * Zoom and pan so the given coaches fill the viewport
+     * @param {Array} coachNames - Names of the coaches to show
      */
-    hideInfoCard() {
-        if (this.activeInfoCard) {
-            this.activeInfoCard.remove();
-            this.activeInfoCard = null;
+    fitCoaches(coachNames) {
+        const coaches = coachNames.map(name => this.coaches[name]).filter(Boolean);
+        if (coaches.length === 0) return;
+        
+        const margin = this.nodeRadius * 2;
+        const minX = Math.min(...coaches.map(c => c.x)) - margin;
+        const maxX = Math.max(...coaches.map(c => c.x)) + margin;
+        const minY = Math.min(...coaches.map(c => c.y)) - margin;
+        const maxY = Math.max(...coaches.map(c => c.y)) + margin;
+        
+        const scale = Math.min(
+            1,
+            this.treeElement.clientWidth / (maxX - minX),
+            this.treeElement.clientHeight / (maxY - minY)
+        );
+        this.centerOnPoint((minX + maxX) / 2, (minY + maxY) / 2, scale);
+    }
+    
+    /**
+     * Find everyone who worked under a coach, directly or through their disciples
+     * @param {Object} coaches - Coach lookup to search
+     * @param {string} coachName - Name of the root coach
+     * @param {number} [maxDepth=Infinity] - Deepest generation to follow
+     * @returns {Map} - Coach name to depth (0 for the root coach); a coach
+     *     reachable several ways gets their shallowest depth
+     */
+    findDisciples(coaches, coachName, maxDepth = Infinity) {
+        const depths = new Map([[coachName, 0]]);
+        let frontier = [coachName];
+        let depth = 0;
+        
+        while (frontier.length > 0 && depth < maxDepth) {
+            depth++;
+            const next = [];
+            frontier.forEach(name => {
+                coaches[name].coordinatorsUnder.forEach(disciple => {
+                    if (!depths.has(disciple)) {
+                        depths.set(disciple, depth);
+                        next.push(disciple);
+                    }
+                });
+            });
+            frontier = next;
         }
+        
+        return depths;
     }
     
     /**
-     * Highlight connections for a specific coach, team, and season
-     * @param {string} coachName - Name of the coach
-     * @param {string} team - Team name
-     * @param {number} season - Season year
+     * Show only a coach and everyone who worked under them, laid out by depth
+     * @param {string} coachName - Name of the root coach
+     * @param {number|null} [maxDepth=null] - Deepest generation to show (null for all)
      */
-    highlightConnections(coachName, team, season) {
-        // Reset all highlights
-        this.resetHighlights();
+    showCoachingTree(coachName, maxDepth = null) {
+        const full = this.fullGraph || {
+            coaches: this.coaches,
+            connections: this.connections,
+            treeWidth: this.treeWidth,
+            treeHeight: this.treeHeight
+        };
+        if (!full.coaches[coachName]) return;
         
-        // Find all connections for this coach, team, and season
-        const relatedConnections = this.connections.filter(conn => 
-            (conn.head === coachName || conn.coordinator === coachName) && 
-            conn.team === team && 
-            conn.season === parseInt(season)
+        const allDepths = this.findDisciples(full.coaches, coachName);
+        const depths = maxDepth ? this.findDisciples(full.coaches, coachName, maxDepth) : allDepths;
+        
+        // Copies limited to the subtree, so the focused view cannot reach outside it
+        const coaches = {};
+        depths.forEach((depth, name) => {
+            const coach = full.coaches[name];
+            coaches[name] = {
+                ...coach,
+                coordinatorsUnder: new Set([...coach.coordinatorsUnder].filter(n => depths.has(n))),
+                headCoachesOver: new Set([...coach.headCoachesOver].filter(n => depths.has(n))),
+                level: depth
+            };
+        });
+        
+        // Keep only edges that lead further down the tree
+        const connections = full.connections.filter(conn =>
+            depths.has(conn.head) && depths.has(conn.coordinator) &&
+            depths.get(conn.coordinator) > depths.get(conn.head)
         );
         
-        // Highlight connections
-        relatedConnections.forEach(conn => {
-            const connectionEls = document.querySelectorAll(`.connection[data-head="${conn.head}"][data-coordinator="${conn.coordinator}"][data-season="${conn.season}"][data-team="${conn.team}"]`);
-            connectionEls.forEach(el => {
-                el.classList.add('highlighted');
-            });
-            
-            // Highlight related coach nodes
-            const headCoachEl = document.querySelector(`.coach-node[data-coach="${conn.head}"]`);
-            const coordinatorEl = document.querySelector(`.coach-node[data-coach="${conn.coordinator}"]`);
-            
-            if (headCoachEl) headCoachEl.classList.add('highlighted');
-            if (coordinatorEl) coordinatorEl.classList.add('highlighted');
+        this.resetHighlights();
+        this.hideInfoCard();
+        
+        this.fullGraph = full;
+        this.focus = { coachName, depth: maxDepth };
+        this.coaches = coaches;
+        this.connections = connections;
+        this.buildTenures();
+        this.layoutSubtree();
+        
+        this.renderVisualization();
+        this.fitAll();
+        this.showFocusBar(allDepths);
+        this.scheduleViewStateSave();
+    }
+    
+    /**
+     * Position a focused subtree: one row per depth, ordered and spaced by a
+     * layered layout
+     */
+    layoutSubtree() {
+        const rowHeight = 220;
+        const depths = Math.max(...Object.values(this.coaches).map(coach => coach.level)) + 1;
+        this.treeHeight = Math.max(600, depths * rowHeight);
+        
+        Object.values(this.coaches).forEach(coach => {
+            coach.y = coach.level * rowHeight + 100;
         });
+        
+        this.treeWidth = this.runLayout(new LayeredLayout(this.coaches));
     }
     
     /**
-     * Reset all highlights
+     * Show the focused tree toolbar with depth control and per-depth counts
+     * @param {Map} allDepths - Depth of every disciple, ignoring the depth limit
      */
-    resetHighlights() {
-        document.querySelectorAll('.connection.highlighted').forEach(el => {
-            el.classList.remove('highlighted');
+    showFocusBar(allDepths) {
+        const bar = this.focusBarElement;
+        bar.innerHTML = '';
+        
+        const counts = [];
+        allDepths.forEach(depth => {
+            if (depth > 0) counts[depth - 1] = (counts[depth - 1] || 0) + 1;
         });
         
-        document.querySelectorAll('.coach-node.highlighted').forEach(el => {
-            el.classList.remove('highlighted');
+        const heading = document.createElement('h3');
+        heading.textContent = `${this.focus.coachName}'s coaching tree`;
+        bar.appendChild(heading);
+        
+        // Depth control
+        const depthLabel = document.createElement('label');
+        depthLabel.textContent = 'Generations: ';
+        const depthSelect = document.createElement('select');
+        depthSelect.appendChild(new Option('All', ''));
+        counts.forEach((count, index) => {
+            depthSelect.appendChild(new Option(index + 1, index + 1));
+        });
+        depthSelect.value = this.focus.depth || '';
+        depthSelect.addEventListener('change', () => {
+            this.showCoachingTree(this.focus.coachName, parseInt(depthSelect.value) || null);
         });
+        depthLabel.appendChild(depthSelect);
+        bar.appendChild(depthLabel);
+        
+        // Disciples per depth
+        const summary = document.createElement('div');
+        summary.className = 'focus-counts';
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        summary.textContent = counts
+            .map((count, index) => `Depth ${index + 1}: ${count}`)
+            .concat(`Total disciples: ${total}`)
+            .join(' · ');
+        bar.appendChild(summary);
+        
+        const exitBtn = document.createElement('button');
+        exitBtn.textContent = 'Show Full Tree';
+        exitBtn.addEventListener('click', () => this.exitCoachingTree());
+        bar.appendChild(exitBtn);
+        
+        bar.style.display = 'block';
+    }
+    
+    /**
+     * Leave the focused tree view and show the full graph again
+     */
+    exitCoachingTree() {
+        if (!this.fullGraph) return;
+        
+        this.resetHighlights();
+        this.hideInfoCard();
+        
+        const focusedCoach = this.focus.coachName;
+        this.coaches = this.fullGraph.coaches;
+        this.connections = this.fullGraph.connections;
+        this.buildTenures();
+        this.treeWidth = this.fullGraph.treeWidth;
+        this.treeHeight = this.fullGraph.treeHeight;
+        this.clearFocus();
+        
+        this.renderVisualization();
+        this.centerOnCoach(focusedCoach);
+        this.scheduleViewStateSave();
+    }
+    
+    /**
+     * Forget the focused view without redrawing, e.g. when new data replaces it
+     */
+    clearFocus() {
+        this.focus = null;
+        this.fullGraph = null;
+        this.focusBarElement.style.display = 'none';
+        this.focusBarElement.innerHTML = '';
     }
     
     /**
@@ -2623,8 +6265,3 @@ class CoachingTreeVisualization {
         this.hideInfoCard();
     }
 }
-
-// Initialize visualization when the page loads
-document.addEventListener('DOMContentLoaded', () => {
-    const visualization = new CoachingTreeVisualization();
-});